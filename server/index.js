@@ -0,0 +1,231 @@
+import http from 'node:http';
+import { getProvider, getProviderConfig } from '../src/api/providers/index.js';
+import { MAX_OUTPUT_TOKENS, MAX_REQUEST_BYTES } from '../src/api/limits.js';
+import { ApiError } from '../src/api/http.js';
+
+// =====================================
+// SERVIDOR PROXY DEL MODELO
+// =====================================
+// Mantiene la API key en el servidor: el navegador solo habla con /api.
+
+try {
+  process.loadEnvFile();
+} catch {
+  // Sin archivo .env: se usan las variables del entorno
+}
+
+const PORT = Number(process.env.PORT) || 8787;
+const RATE_LIMIT_WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const RATE_LIMIT_MAX = Number(process.env.RATE_LIMIT_MAX) || 20;
+
+// Un solo intento: los reintentos los hace el navegador, que muestra la espera
+const providerConfig = { ...getProviderConfig(process.env, 'LLM_', 'groq'), maxRetries: 1 };
+const provider = getProvider(providerConfig);
+
+if (provider.id === 'proxy') {
+  throw new Error('LLM_PROVIDER no puede ser "proxy" en el servidor.');
+}
+
+// =====================================
+// LÍMITE DE SOLICITUDES POR CLIENTE
+// =====================================
+
+const rateLimits = new Map();
+
+const checkRateLimit = (clientId) => {
+  const now = Date.now();
+  const entry = rateLimits.get(clientId);
+
+  if (!entry || entry.resetAt <= now) {
+    rateLimits.set(clientId, { count: 1, resetAt: now + RATE_LIMIT_WINDOW_MS });
+    return { allowed: true };
+  }
+
+  if (entry.count >= RATE_LIMIT_MAX) {
+    return { allowed: false, retryAfter: Math.ceil((entry.resetAt - now) / 1000) };
+  }
+
+  entry.count++;
+  return { allowed: true };
+};
+
+// Limpia ventanas caducadas para no acumular clientes en memoria
+setInterval(() => {
+  const now = Date.now();
+  rateLimits.forEach((entry, clientId) => {
+    if (entry.resetAt <= now) rateLimits.delete(clientId);
+  });
+}, RATE_LIMIT_WINDOW_MS).unref();
+
+const getClientId = (req) =>
+  (process.env.TRUST_PROXY === 'true' && req.headers['x-forwarded-for']?.split(',')[0].trim()) ||
+  req.socket.remoteAddress;
+
+// =====================================
+// UTILIDADES
+// =====================================
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  const declaredLength = Number(req.headers['content-length']);
+  if (declaredLength > MAX_REQUEST_BYTES) {
+    reject(new HttpError(413, 'La solicitud supera el tamaño máximo permitido.'));
+    return;
+  }
+
+  const chunks = [];
+  let received = 0;
+  let tooLarge = false;
+
+  req.on('data', (chunk) => {
+    if (tooLarge) return;
+    received += chunk.length;
+    if (received > MAX_REQUEST_BYTES) {
+      tooLarge = true;
+      reject(new HttpError(413, 'La solicitud supera el tamaño máximo permitido.'));
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    if (tooLarge) return;
+    try {
+      resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+    } catch {
+      reject(new HttpError(400, 'El cuerpo de la solicitud no es JSON válido.'));
+    }
+  });
+
+  req.on('error', reject);
+});
+
+const validateGenerateRequest = (body) => {
+  if (!Array.isArray(body?.messages) || body.messages.length === 0) {
+    throw new HttpError(400, 'Falta la lista de mensajes.');
+  }
+
+  const validMessages = body.messages.every(message =>
+    ['user', 'model'].includes(message?.role) && typeof message.text === 'string'
+  );
+  if (!validMessages) {
+    throw new HttpError(400, 'Formato de mensajes inválido.');
+  }
+
+  return {
+    messages: body.messages,
+    systemInstruction: typeof body.systemInstruction === 'string' ? body.systemInstruction : '',
+    responseMimeType: typeof body.responseMimeType === 'string' ? body.responseMimeType : 'text/plain',
+    responseSchema: body.responseSchema && typeof body.responseSchema === 'object' ? body.responseSchema : null,
+    // Límite de salida pedido por el cliente (p. ej. exámenes largos), sin pasar del máximo
+    maxOutputTokens: Number.isInteger(body.maxOutputTokens) && body.maxOutputTokens > 0
+      ? Math.min(body.maxOutputTokens, MAX_OUTPUT_TOKENS)
+      : providerConfig.maxOutputTokens,
+    stream: body.stream === true
+  };
+};
+
+// =====================================
+// RUTAS
+// =====================================
+
+const handleGenerate = async (req, res) => {
+  const limit = checkRateLimit(getClientId(req));
+  if (!limit.allowed) {
+    sendJson(res, 429,
+      { error: { message: 'Límite de solicitudes excedido. Intenta de nuevo en unos minutos.', kind: 'rateLimit' } },
+      { 'Retry-After': String(limit.retryAfter) }
+    );
+    return;
+  }
+
+  const { stream, maxOutputTokens, ...request } = validateGenerateRequest(await readJsonBody(req));
+  const config = { ...providerConfig, maxOutputTokens };
+
+  // Si el cliente se desconecta (p. ej. pulsa "Detener") se cancela la llamada al proveedor
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  if (!stream) {
+    const text = await provider.generate({ ...request, config, signal: controller.signal });
+    sendJson(res, 200, { text });
+    return;
+  }
+
+  // La cabecera 200 se envía con el primer trozo: si el proveedor falla antes,
+  // el error llega como respuesta HTTP normal y el navegador puede reintentar
+  const sendEvent = (event, data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+    }
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    await provider.generate({
+      ...request,
+      config,
+      signal: controller.signal,
+      onToken: (text) => sendEvent('message', { text })
+    });
+    sendEvent('done', {});
+  } catch (error) {
+    if (!res.headersSent) throw error;
+    if (!controller.signal.aborted) {
+      console.error(`[stream] ${req.url}:`, error.message);
+      sendEvent('error', { message: error.message, kind: error instanceof ApiError ? error.kind : 'server' });
+    }
+  }
+  res.end();
+};
+
+// Estado HTTP con el que se reenvía un error del proveedor
+const apiErrorStatus = (error) => {
+  if (error.kind === 'rateLimit' || error.kind === 'quota') return 429;
+  if (error.kind === 'auth') return 401;
+  if (error.kind === 'badRequest') return error.status || 400;
+  return 502;
+};
+
+const server = http.createServer(async (req, res) => {
+  try {
+    if (req.method === 'GET' && req.url === '/api/health') {
+      sendJson(res, 200, { status: 'ok', provider: providerConfig.name, model: providerConfig.model });
+    } else if (req.method === 'POST' && req.url === '/api/generate') {
+      await handleGenerate(req, res);
+    } else {
+      sendJson(res, 404, { error: { message: 'Ruta no encontrada.' } });
+    }
+  } catch (error) {
+    const isApiError = error instanceof ApiError;
+    const status = error instanceof HttpError ? error.status : isApiError ? apiErrorStatus(error) : 502;
+    console.error(`[${status}] ${req.method} ${req.url}:`, error.message);
+    if (!res.headersSent) {
+      const retryAfter = isApiError && error.retryAfterMs !== undefined
+        ? { 'Retry-After': String(Math.ceil(error.retryAfterMs / 1000)) }
+        : {};
+      sendJson(res, status, { error: { message: error.message, ...(isApiError ? { kind: error.kind } : {}) } }, retryAfter);
+    }
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Proxy del modelo escuchando en http://localhost:${PORT} (${providerConfig.name} · ${providerConfig.model})`);
+});
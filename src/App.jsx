@@ -1,17 +1,97 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
-import { Sun, Moon, Upload, Send, X, CheckCircle, XCircle, AlertCircle } from 'lucide-react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeSanitize from 'rehype-sanitize';
+import rehypeHighlight from 'rehype-highlight';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import 'katex/contrib/mhchem';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github-dark.css';
+import { Sun, Moon, Upload, Send, Square, X, CheckCircle, XCircle, AlertCircle, History, Plus, Pencil, Copy, Trash2, Layers, TrendingUp, Download, Printer, FileUp, Link, Settings, ArrowUp, ArrowDown, ZoomIn, ZoomOut, RotateCcw, Maximize2, Minimize2 } from 'lucide-react';
+import { getActiveProvider } from './api/index.js';
+import { ApiError, formatWait, isAbortError, subscribeToRetries } from './api/http.js';
+import { runChunkedTask } from './api/chunkedTask.js';
+import { buildTaskKey, runCachedTask } from './api/cachedTask.js';
+import { pruneResponseCache } from './storage/responseCache.js';
+import { loadMaterialIndex } from './materials/search.js';
+import { combineMaterials, createMaterialId, searchMaterials } from './materials/library.js';
+import {
+  createSession,
+  sessionNameFromFile,
+  listSessions,
+  getSession,
+  saveSession,
+  deleteSession,
+  releaseMaterialIndexes,
+  renameSession,
+  duplicateSession,
+  serializeSession,
+  importSession
+} from './storage/sessions.js';
+import { MAX_FILE_SIZE } from './api/limits.js';
+import { normalizeMath, MATH_FORMAT_INSTRUCTION } from './rendering/math.js';
+import { generateWithMemory } from './api/conversation.js';
+import { QUESTION_TYPES, getQuestionType } from './exams/questionTypes.js';
+import { gradeExam, formatScore } from './exams/grading.js';
+import {
+  EXAM_QUESTION_LIMITS,
+  DIFFICULTY_OPTIONS,
+  DEFAULT_EXAM_CONFIG,
+  EXAM_TIMER_LIMITS,
+  suggestedExamMinutes,
+  isValidTimer,
+  buildExamSchema,
+  validateExamResponse,
+  examOutputTokens,
+  buildExamPrompt,
+  prepareExam
+} from './exams/examConfig.js';
+import { EXAM_LINK_PREFIX, isExamFileName, parseExamFile, serializeExam, createExamLink, readExamLink } from './exams/examFile.js';
+import { MASTERY_THRESHOLD, buildFollowUpConfig, buildFollowUpPrompt, getMissedQuestions, hasReachedMastery } from './exams/followUp.js';
+import { flashcardSchema, FLASHCARD_PROMPT, cardsFromResponse, cardFromQuestion } from './flashcards/cards.js';
+import { GRADES, scheduleCard, previewIntervals } from './flashcards/scheduler.js';
+import { listFlashcards, getDueFlashcards, addFlashcards, updateFlashcard, deleteFlashcard } from './storage/flashcards.js';
+import { saveExamResult, listExamResults } from './storage/examResults.js';
+import { buildAttemptRecord } from './analytics/attempts.js';
+import { computeStats, formatDuration } from './analytics/stats.js';
+import { downloadFile, toFileName } from './export/download.js';
+import { printElement } from './export/print.js';
+import { examToMarkdown, examSheetHeader, answerKeyHeader, formatQuestionSheet, formatQuestionKey } from './export/exam.js';
+import { flashcardsToAnkiCsv } from './export/anki.js';
+import { conceptMapToSvg, nodeColors, svgToPng } from './export/conceptMap.js';
+import { CONCEPT_MAP_PROMPT, conceptMapSchema, conceptPrompt, prepareConceptMap, validateConceptMapResponse } from './conceptMaps/conceptMap.js';
+import { LINE_HEIGHT, NODE_FONT_SIZE, edgeGeometry, layoutConceptMap } from './conceptMaps/layout.js';
+import { messageToMarkdown, messageTitle } from './export/messages.js';
+import {
+  DEFAULT_LEVEL,
+  DEFAULT_TEMPLATES,
+  STUDY_LEVELS,
+  TEMPLATE_LIMITS,
+  TEMPLATE_OUTPUTS,
+  TEMPLATE_VARIABLES,
+  createTemplate,
+  loadTemplates,
+  mergeTemplates,
+  needsRunOptions,
+  parseTemplatesFile,
+  renderTemplate,
+  saveTemplates,
+  serializeTemplates,
+  templateDisplayText,
+  templateVariables,
+  validateTemplate
+} from './studyModes/templates.js';
 
 // =====================================
-// CONFIGURACIÓN DE LA API
+// CONFIGURACIÓN
 // =====================================
 
-// ⚠️ IMPORTANTE: En producción, NUNCA expongas tu API key en el frontend
-// Solución recomendada: Crear un backend proxy que maneje las llamadas a la API
-const API_KEY = import.meta.env.VITE_GROQ_API_KEY || "";
-const MODEL_NAME = "llama-3.1-70b-versatile";
-const API_URL = "https://api.groq.com/openai/v1/chat/completions";
+const ACTIVE_PROVIDER = getActiveProvider();
+
+const STUDY_SYSTEM_PROMPT = `Eres un tutor de estudio experto y didáctico. Analiza el material proporcionado y cumple con la solicitud de manera clara, estructurada y educativa. ${MATH_FORMAT_INSTRUCTION}`;
+
 // Límites de archivo
-const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const ALLOWED_FILE_TYPES = {
   'application/pdf': ['pdf'],
   'text/plain': ['txt'],
@@ -24,40 +104,6 @@ const ALLOWED_FILE_TYPES = {
 // UTILIDADES
 // =====================================
 
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-const fetchWithRetries = async (url, options, maxRetries = 3) => {
-  for (let i = 0; i < maxRetries; i++) {
-    try {
-      const response = await fetch(url, options);
-      
-      if (!response.ok) {
-        const errorBody = await response.json().catch(() => ({}));
-        
-        // Mensajes de error más específicos
-        if (response.status === 401) {
-          throw new Error("API key inválida. Por favor, verifica tu configuración.");
-        } else if (response.status === 429) {
-          throw new Error("Límite de solicitudes excedido. Intenta de nuevo en unos minutos.");
-        } else if (response.status === 400) {
-          throw new Error(`Solicitud inválida: ${errorBody.error?.message || 'Verifica el formato del archivo'}`);
-        }
-        
-        throw new Error(`Error HTTP ${response.status}: ${errorBody.error?.message || 'Error desconocido'}`);
-      }
-      
-      return response;
-    } catch (error) {
-      console.error(`Intento ${i + 1} fallido:`, error);
-      
-      if (i === maxRetries - 1) throw error;
-      
-      const waitTime = Math.pow(2, i) * 1000 + Math.random() * 1000;
-      await delay(waitTime);
-    }
-  }
-};
-
 // Validación de archivos
 const validateFile = (file) => {
   if (!file) {
@@ -83,121 +129,25 @@ const validateFile = (file) => {
 };
 
 // =====================================
-// API DE GEMINI
+// COMPONENTES
 // =====================================
 
-const generateContent = async (prompt, fileData, systemInstruction, responseMimeType = 'text/plain', responseSchema = null) => {
-  if (!API_KEY) {
-    throw new Error("API key no configurada. Agrega VITE_GEMINI_API_KEY a tu archivo .env");
-  }
-
-  const contents = [{
-    role: "user",
-    parts: [{ text: prompt }]
-  }];
-
-  if (fileData) {
-    contents[0].parts.push({
-      inlineData: {
-        mimeType: fileData.mimeType,
-        data: fileData.base64Data
-      }
-    });
-  }
-
-  const payload = {
-    contents: contents,
-    systemInstruction: { 
-      parts: [{ text: systemInstruction }] 
-    },
-    generationConfig: {
-      temperature: 0.7,
-      topK: 40,
-      topP: 0.95,
-      maxOutputTokens: 2048,
-    }
-  };
-
-  if (responseMimeType.startsWith("application/json") && responseSchema) {
-    payload.generationConfig.responseMimeType = responseMimeType;
-    payload.generationConfig.responseSchema = responseSchema;
-  }
-
-  const options = {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(payload)
-  };
-
-  const response = await fetchWithRetries(API_URL, options);
-  const result = await response.json();
-  
-  const candidate = result.candidates?.[0];
-  
-  if (!candidate?.content?.parts?.[0]?.text) {
-    throw new Error(result.error?.message || "No se recibió respuesta del modelo");
-  }
-  
-  const text = candidate.content.parts[0].text;
-  
-  if (responseMimeType.startsWith("application/json")) {
-    try {
-      // Limpiar posibles markdown code blocks
-      const cleanText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-      return JSON.parse(cleanText);
-    } catch (e) {
-      console.error("Error al parsear JSON:", e, "\nTexto recibido:", text);
-      throw new Error("La IA no devolvió un JSON válido. Intenta de nuevo.");
-    }
-  }
-  
-  return text;
-};
+// Cuenta atrás hasta el siguiente reintento de una petición fallida
+const RetryCountdown = ({ retry }) => {
+  const [now, setNow] = useState(Date.now);
 
-// =====================================
-// ESQUEMAS JSON
-// =====================================
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
 
-const quizSchema = {
-  type: "object",
-  properties: {
-    title: {
-      type: "string",
-      description: "Título del cuestionario"
-    },
-    questions: {
-      type: "array",
-      description: "Lista de 5 preguntas de opción múltiple",
-      items: {
-        type: "object",
-        properties: {
-          question: { type: "string" },
-          options: {
-            type: "array",
-            items: { type: "string" },
-            minItems: 4,
-            maxItems: 4
-          },
-          correctAnswerIndex: { 
-            type: "integer",
-            minimum: 0,
-            maximum: 3
-          },
-          explanation: { type: "string" }
-        },
-        required: ["question", "options", "correctAnswerIndex", "explanation"]
-      },
-      minItems: 5,
-      maxItems: 5
-    }
-  },
-  required: ["title", "questions"]
+  return (
+    <span>
+      ⏳ {retry.error.message} Reintentando en {formatWait(Math.max(0, retry.retryAt - now))} (intento {retry.attempt + 1} de {retry.maxRetries})
+    </span>
+  );
 };
 
-// =====================================
-// COMPONENTES
-// =====================================
-
 const Toast = ({ message, type, onClose }) => {
   useEffect(() => {
     const timer = setTimeout(onClose, 5000);
@@ -227,46 +177,63 @@ const Toast = ({ message, type, onClose }) => {
   );
 };
 
-const StudyOptions = React.memo(({ onSelectOption, isGenerating, materialLoaded, darkMode }) => {
+// Los modos personalizables (plantillas) y los que tienen flujo propio: examen, tarjetas y mapa
+const StudyOptions = React.memo(({ templates, onSelectOption, onRunTemplate, onCustomize, isGenerating, materialLoaded, darkMode }) => {
   const baseClasses = "py-3 px-5 rounded-lg font-medium transition-all duration-200 shadow-md";
   const enabledClasses = "bg-blue-600 hover:bg-blue-700 text-white transform hover:scale-105 active:scale-95";
   const disabledClasses = "bg-gray-400 dark:bg-gray-600 text-gray-200 cursor-not-allowed opacity-50";
+  const disabled = isGenerating || !materialLoaded;
 
-  const options = [
-    {
-      id: 'summary',
-      label: 'Resumir Material',
-      prompt: "Genera un resumen completo, estructurado y detallado del material proporcionado. Organiza la información en secciones claras con puntos clave."
-    },
-    {
-      id: 'keypoints',
-      label: 'Puntos Clave',
-      prompt: "Identifica y enumera los 10 puntos más importantes del material. Para cada punto, proporciona una breve explicación."
-    },
+  const fixedOptions = [
     {
       id: 'quiz',
       label: 'Generar Examen',
-      prompt: "Crea 5 preguntas de opción múltiple basadas estrictamente en el material. Cada pregunta debe tener 4 opciones y una explicación detallada de la respuesta correcta."
+      // El prompt se construye con la configuración elegida en ExamSetupModal
+      prompt: null
+    },
+    {
+      id: 'flashcards',
+      label: 'Crear Tarjetas',
+      prompt: FLASHCARD_PROMPT
     },
     {
-      id: 'analogy',
-      label: 'Explicar con Analogía',
-      prompt: "Crea una analogía creativa y memorable para explicar los conceptos principales del material. Usa ejemplos de la vida cotidiana."
+      id: 'conceptMap',
+      label: 'Mapa Conceptual',
+      prompt: CONCEPT_MAP_PROMPT
     }
   ];
 
   return (
     <div className={`p-5 rounded-xl shadow-lg ${darkMode ? 'bg-gray-800 border border-gray-700' : 'bg-white'}`}>
-      <h3 className={`text-lg font-bold mb-4 ${darkMode ? 'text-white' : 'text-gray-800'}`}>
-        Elige tu Modo de Estudio:
-      </h3>
+      <div className="flex justify-between items-center mb-4">
+        <h3 className={`text-lg font-bold ${darkMode ? 'text-white' : 'text-gray-800'}`}>
+          Elige tu Modo de Estudio:
+        </h3>
+        <button
+          onClick={onCustomize}
+          className={`p-2 rounded-lg transition-colors ${darkMode ? 'hover:bg-gray-700 text-gray-300' : 'hover:bg-gray-100 text-gray-600'}`}
+          title="Personalizar modos de estudio"
+        >
+          <Settings className="w-5 h-5" />
+        </button>
+      </div>
       <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
-        {options.map(option => (
+        {templates.map(template => (
+          <button
+            key={template.id}
+            onClick={() => onRunTemplate(template)}
+            disabled={disabled}
+            className={`${baseClasses} ${disabled ? disabledClasses : enabledClasses}`}
+          >
+            {template.label}
+          </button>
+        ))}
+        {fixedOptions.map(option => (
           <button
             key={option.id}
-            onClick={() => onSelectOption(option.label, option.prompt, option.id === 'quiz')}
-            disabled={isGenerating || !materialLoaded}
-            className={`${baseClasses} ${isGenerating || !materialLoaded ? disabledClasses : enabledClasses}`}
+            onClick={() => onSelectOption(option.id, option.label, option.prompt)}
+            disabled={disabled}
+            className={`${baseClasses} ${disabled ? disabledClasses : enabledClasses}`}
           >
             {option.label}
           </button>
@@ -276,47 +243,582 @@ const StudyOptions = React.memo(({ onSelectOption, isGenerating, materialLoaded,
   );
 });
 
-const FileUploader = React.memo(({ onFileLoad, isGenerating, darkMode }) => {
-  const fileInputRef = useRef(null);
-  const [isDragging, setIsDragging] = useState(false);
+// Editor de modos de estudio: los cambios se aplican al pulsar "Guardar"
+const TemplateEditorModal = ({ templates, onSave, onClose, darkMode }) => {
+  const [draft, setDraft] = useState(templates);
+  const [selectedId, setSelectedId] = useState(templates[0]?.id ?? null);
+  const [importError, setImportError] = useState(null);
+  const importInputRef = useRef(null);
 
-  const handleFileChange = (file) => {
-    if (!file) return;
+  const selected = draft.find(template => template.id === selectedId);
+  const errorsById = Object.fromEntries(draft.map(template => [template.id, validateTemplate(template)]));
+  const canSave = draft.every(template => errorsById[template.id].length === 0);
 
-    const validation = validateFile(file);
-    if (!validation.valid) {
-      onFileLoad({ error: validation.error });
-      return;
+  const updateSelected = (field, value) => {
+    setDraft(prev => prev.map(template => (template.id === selectedId ? { ...template, [field]: value } : template)));
+  };
+
+  const move = (index, offset) => {
+    setDraft(prev => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+
+  const addTemplate = () => {
+    const template = createTemplate();
+    setDraft(prev => [...prev, template]);
+    setSelectedId(template.id);
+  };
+
+  const removeTemplate = (id) => {
+    const remaining = draft.filter(template => template.id !== id);
+    setDraft(remaining);
+    if (id === selectedId) setSelectedId(remaining[0]?.id ?? null);
+  };
+
+  const restoreDefaults = () => {
+    if (window.confirm("¿Sustituir tus modos por los predeterminados? Perderás los que hayas creado.")) {
+      setDraft(DEFAULT_TEMPLATES);
+      setSelectedId(DEFAULT_TEMPLATES[0].id);
     }
+  };
 
-    const reader = new FileReader();
-    
-    reader.onload = (e) => {
-      const base64String = e.target.result.split(',')[1];
-      const mimeType = file.type;
-
-      onFileLoad({
-        name: file.name,
-        mimeType: mimeType,
-        base64Data: base64String,
-        size: file.size,
-        text: mimeType.startsWith('text/') ? atob(base64String) : `[Archivo cargado: ${file.name}]`
-      });
+  const exportTemplates = (list, name) => {
+    downloadFile(toFileName(name, 'json'), serializeTemplates(list), 'application/json');
+  };
+
+  const importTemplates = async (file) => {
+    try {
+      const { templates: merged, skipped } = mergeTemplates(draft, parseTemplatesFile(await file.text()));
+      setDraft(merged);
+      setSelectedId(merged[draft.length]?.id ?? selectedId);
+      setImportError(skipped > 0 ? `No se importaron ${skipped} modos: se alcanzó el máximo de ${TEMPLATE_LIMITS.count}.` : null);
+    } catch (error) {
+      setImportError(error.message);
+    }
+  };
+
+  const inputClasses = `mt-2 w-full p-3 rounded-lg border-2 focus:outline-none focus:border-blue-500 ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'}`;
+  const iconButton = `p-1 rounded transition-colors disabled:opacity-30 disabled:cursor-not-allowed ${darkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`;
+  const secondaryButton = `py-2 px-3 rounded-lg text-sm font-medium flex items-center gap-2 transition-colors ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-70 backdrop-blur-sm animate-fade-in">
+      <div className={`w-full max-w-3xl max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl p-6 ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-800'}`}>
+        <div className="flex justify-between items-center border-b pb-4 mb-6">
+          <h2 className="text-2xl font-extrabold text-blue-500">Modos de estudio</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-blue-500 transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div>
+            <ul className="space-y-2">
+              {draft.map((template, index) => (
+                <li
+                  key={template.id}
+                  className={`p-2 rounded-lg border-2 flex items-center gap-1 ${template.id === selectedId ? 'border-blue-500' : darkMode ? 'border-gray-700' : 'border-gray-200'}`}
+                >
+                  <button onClick={() => setSelectedId(template.id)} className="flex-1 text-left text-sm truncate">
+                    {errorsById[template.id].length > 0 && '⚠️ '}{template.label || 'Sin nombre'}
+                  </button>
+                  <button onClick={() => move(index, -1)} disabled={index === 0} className={iconButton} title="Subir">
+                    <ArrowUp className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => move(index, 1)} disabled={index === draft.length - 1} className={iconButton} title="Bajar">
+                    <ArrowDown className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+            <button
+              onClick={addTemplate}
+              disabled={draft.length >= TEMPLATE_LIMITS.count}
+              className="w-full mt-3 py-2 px-4 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-medium flex items-center justify-center gap-2 disabled:bg-gray-400 disabled:cursor-not-allowed"
+            >
+              <Plus className="w-4 h-4" />
+              Nuevo modo
+            </button>
+          </div>
+
+          <div className="md:col-span-2">
+            {selected ? (
+              <div className="space-y-4">
+                <label className="block">
+                  <span className="font-semibold">Nombre</span>
+                  <input
+                    value={selected.label}
+                    maxLength={TEMPLATE_LIMITS.label}
+                    onChange={(e) => updateSelected('label', e.target.value)}
+                    className={inputClasses}
+                  />
+                </label>
+                <label className="block">
+                  <span className="font-semibold">Instrucciones para el tutor</span>
+                  <textarea
+                    value={selected.prompt}
+                    rows={7}
+                    onChange={(e) => updateSelected('prompt', e.target.value)}
+                    className={`${inputClasses} font-mono text-sm`}
+                  />
+                </label>
+                <ul className="text-sm text-gray-400 space-y-1">
+                  {Object.entries(TEMPLATE_VARIABLES).map(([name, description]) => (
+                    <li key={name}><code>{`{{${name}}}`}</code>: {description}</li>
+                  ))}
+                </ul>
+                <div>
+                  <span className="font-semibold">Formato de la respuesta</span>
+                  <div className="mt-2 flex gap-2">
+                    {Object.entries(TEMPLATE_OUTPUTS).map(([id, label]) => (
+                      <label key={id} className="flex items-center gap-2 cursor-pointer">
+                        <input
+                          type="radio"
+                          name="template-output"
+                          checked={selected.output === id}
+                          onChange={() => updateSelected('output', id)}
+                        />
+                        {label}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                {errorsById[selected.id].length > 0 && (
+                  <p className="text-sm text-red-500">Revisa el modo: {errorsById[selected.id].join(', ')}.</p>
+                )}
+                <div className="flex justify-end gap-2">
+                  <button onClick={() => exportTemplates([selected], selected.label)} disabled={errorsById[selected.id].length > 0} className={secondaryButton}>
+                    <Download className="w-4 h-4" />
+                    Compartir este modo
+                  </button>
+                  <button onClick={() => removeTemplate(selected.id)} className={`${secondaryButton} hover:text-red-500`}>
+                    <Trash2 className="w-4 h-4" />
+                    Eliminar
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <p className="text-gray-400">No tienes modos personalizados. Crea uno nuevo o importa un archivo.</p>
+            )}
+          </div>
+        </div>
+
+        {importError && <p className="mt-4 text-sm text-red-500">{importError}</p>}
+
+        <div className="mt-8 pt-6 border-t flex flex-wrap justify-between gap-3">
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => importInputRef.current?.click()} className={secondaryButton}>
+              <FileUp className="w-4 h-4" />
+              Importar (.json)
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,application/json"
+              className="hidden"
+              onChange={(e) => {
+                const file = e.target.files?.[0];
+                e.target.value = '';
+                if (file) importTemplates(file);
+              }}
+            />
+            <button onClick={() => exportTemplates(draft, 'Modos de estudio')} disabled={!canSave || draft.length === 0} className={secondaryButton}>
+              <Download className="w-4 h-4" />
+              Exportar todos
+            </button>
+            <button onClick={restoreDefaults} className={secondaryButton}>
+              Restaurar predeterminados
+            </button>
+          </div>
+          <div className="flex gap-3">
+            <button
+              onClick={onClose}
+              className={`px-6 py-3 font-bold rounded-lg transition-colors ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+            >
+              Cancelar
+            </button>
+            <button
+              onClick={() => onSave(draft)}
+              disabled={!canSave}
+              className="px-8 py-3 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed"
+            >
+              Guardar
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Pide el tema y el nivel de los modos que usan {{tema}} o {{nivel}}
+const TemplateRunModal = ({ template, onRun, onClose, darkMode }) => {
+  const variables = templateVariables(template.prompt);
+  const [tema, setTema] = useState('');
+  const [nivel, setNivel] = useState(DEFAULT_LEVEL);
+
+  const inputClasses = `mt-2 w-full p-3 rounded-lg border-2 focus:outline-none focus:border-blue-500 ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'}`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-70 backdrop-blur-sm animate-fade-in">
+      <form
+        onSubmit={(e) => {
+          e.preventDefault();
+          onRun({ tema, nivel });
+        }}
+        className={`w-full max-w-md rounded-xl shadow-2xl p-6 ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-800'}`}
+      >
+        <div className="flex justify-between items-center border-b pb-4 mb-6">
+          <h2 className="text-2xl font-extrabold text-blue-500">{template.label}</h2>
+          <button type="button" onClick={onClose} className="text-gray-400 hover:text-blue-500 transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="space-y-4">
+          {variables.includes('tema') && (
+            <label className="block">
+              <span className="font-semibold">Tema</span>
+              <input
+                autoFocus
+                value={tema}
+                onChange={(e) => setTema(e.target.value)}
+                placeholder="Déjalo vacío para usar todo el material"
+                className={inputClasses}
+              />
+            </label>
+          )}
+          {variables.includes('nivel') && (
+            <label className="block">
+              <span className="font-semibold">Nivel</span>
+              <select value={nivel} onChange={(e) => setNivel(e.target.value)} className={inputClasses}>
+                {Object.entries(STUDY_LEVELS).map(([id, label]) => (
+                  <option key={id} value={id}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+        </div>
+
+        <div className="mt-8 pt-6 border-t flex justify-end gap-3">
+          <button
+            type="button"
+            onClick={onClose}
+            className={`px-6 py-3 font-bold rounded-lg transition-colors ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+          >
+            Cancelar
+          </button>
+          <button type="submit" className="px-8 py-3 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition-colors">
+            Empezar
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+// =====================================
+// MAPA CONCEPTUAL INTERACTIVO
+// =====================================
+
+const ZOOM_LIMITS = { min: 0.3, max: 4 };
+const ZOOM_STEP = 1.2;
+
+// Posición del puntero en unidades del viewBox del SVG
+const toSvgPoint = (svg, clientX, clientY) => {
+  const point = svg.createSVGPoint();
+  point.x = clientX;
+  point.y = clientY;
+  return point.matrixTransform(svg.getScreenCTM().inverse());
+};
+
+// Acerca o aleja manteniendo fijo el punto indicado
+const zoomView = (view, point, factor) => {
+  const k = Math.min(ZOOM_LIMITS.max, Math.max(ZOOM_LIMITS.min, view.k * factor));
+  const ratio = k / view.k;
+  return { k, x: point.x - (point.x - view.x) * ratio, y: point.y - (point.y - view.y) * ratio };
+};
+
+// Rueda o botones para el zoom, arrastrar para moverse y clic (o Enter) en un
+// concepto para que el tutor lo explique
+const ConceptMapPanel = ({ map, onExplain, onExport, onClose, disabled, darkMode }) => {
+  const layout = useMemo(() => layoutConceptMap(map), [map]);
+  const [view, setView] = useState({ x: 0, y: 0, k: 1 });
+  const [expanded, setExpanded] = useState(false);
+  const svgRef = useRef(null);
+  const dragRef = useRef(null);
+  // Un arrastre no cuenta como clic en el concepto donde termina
+  const movedRef = useRef(false);
+
+  const { bounds } = layout;
+  const center = { x: bounds.x + bounds.width / 2, y: bounds.y + bounds.height / 2 };
+  const labelHalo = darkMode ? '#1f2937' : '#ffffff';
+
+  // React registra la rueda como pasiva y no dejaría evitar el scroll de la página
+  useEffect(() => {
+    const svg = svgRef.current;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const point = toSvgPoint(svg, e.clientX, e.clientY);
+      setView(prev => zoomView(prev, point, e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP));
     };
+    svg.addEventListener('wheel', onWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', onWheel);
+  }, []);
+
+  const handlePointerDown = (e) => {
+    if (e.button !== 0) return;
+    dragRef.current = { start: toSvgPoint(svgRef.current, e.clientX, e.clientY), view };
+    movedRef.current = false;
+  };
+
+  const handlePointerMove = (e) => {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const point = toSvgPoint(svgRef.current, e.clientX, e.clientY);
+    const dx = point.x - drag.start.x;
+    const dy = point.y - drag.start.y;
+    if (Math.hypot(dx, dy) > 3) movedRef.current = true;
+    setView({ ...drag.view, x: drag.view.x + dx, y: drag.view.y + dy });
+  };
+
+  const endDrag = () => {
+    dragRef.current = null;
+  };
+
+  const explain = (node) => {
+    if (movedRef.current || disabled) return;
+    onExplain(node);
+  };
+
+  const toolButton = `p-1 rounded transition-colors ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-200'}`;
+
+  return (
+    <div className={`${expanded ? 'fixed inset-4 z-40' : ''} p-4 rounded-xl shadow-lg flex flex-col ${darkMode ? 'bg-gray-800 border border-gray-700 text-gray-100' : 'bg-white text-gray-800'}`}>
+      <div className="flex items-center gap-1 mb-2">
+        <h3 className="flex-1 font-bold truncate" title={map.title}>🗺️ {map.title}</h3>
+        <button onClick={() => setView(prev => zoomView(prev, center, ZOOM_STEP))} className={toolButton} title="Acercar">
+          <ZoomIn className="w-4 h-4" />
+        </button>
+        <button onClick={() => setView(prev => zoomView(prev, center, 1 / ZOOM_STEP))} className={toolButton} title="Alejar">
+          <ZoomOut className="w-4 h-4" />
+        </button>
+        <button onClick={() => setView({ x: 0, y: 0, k: 1 })} className={toolButton} title="Ver todo el mapa">
+          <RotateCcw className="w-4 h-4" />
+        </button>
+        <button onClick={() => setExpanded(prev => !prev)} className={toolButton} title={expanded ? 'Reducir' : 'Ampliar'}>
+          {expanded ? <Minimize2 className="w-4 h-4" /> : <Maximize2 className="w-4 h-4" />}
+        </button>
+        <button onClick={onClose} className={toolButton} title="Cerrar mapa">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+
+      <svg
+        ref={svgRef}
+        viewBox={`${bounds.x} ${bounds.y} ${bounds.width} ${bounds.height}`}
+        width="100%"
+        style={{ height: expanded ? 'calc(100vh - 10rem)' : '24rem', touchAction: 'none', cursor: 'grab' }}
+        className={`rounded-lg ${darkMode ? 'bg-gray-900' : 'bg-gray-50'}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={endDrag}
+        onPointerLeave={endDrag}
+        role="img"
+        aria-label={`Mapa conceptual: ${map.title}`}
+      >
+        <defs>
+          <marker id="concept-map-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" fill="#94a3b8" />
+          </marker>
+        </defs>
+        <g transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+          {map.edges.map(edge => {
+            const { start, end, middle } = edgeGeometry(layout, edge);
+            return (
+              <g key={`${edge.from}-${edge.to}`}>
+                <line x1={start.x} y1={start.y} x2={end.x} y2={end.y} stroke="#94a3b8" strokeWidth="1.5" markerEnd="url(#concept-map-arrow)" />
+                {edge.label && (
+                  <text
+                    x={middle.x}
+                    y={middle.y}
+                    fontSize="11"
+                    fill={darkMode ? '#cbd5e1' : '#475569'}
+                    textAnchor="middle"
+                    dominantBaseline="middle"
+                    stroke={labelHalo}
+                    strokeWidth="4"
+                    paintOrder="stroke"
+                  >
+                    {edge.label}
+                  </text>
+                )}
+              </g>
+            );
+          })}
+          {map.nodes.map(({ id, label, description }) => {
+            const node = layout.nodes[id];
+            const colors = nodeColors(node.depth);
+            const firstLineY = node.y - ((node.lines.length - 1) * LINE_HEIGHT) / 2;
+            return (
+              <g
+                key={id}
+                role="button"
+                tabIndex={disabled ? -1 : 0}
+                aria-label={`Explicar ${label}`}
+                onClick={() => explain({ id, label })}
+                onKeyDown={(e) => {
+                  if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    explain({ id, label });
+                  }
+                }}
+                style={{ cursor: disabled ? 'default' : 'pointer' }}
+              >
+                <title>{description ? `${label}: ${description}` : label}</title>
+                <rect
+                  x={node.x - node.width / 2}
+                  y={node.y - node.height / 2}
+                  width={node.width}
+                  height={node.height}
+                  rx="10"
+                  fill={colors.fill}
+                  stroke={colors.stroke}
+                  strokeWidth="1.5"
+                />
+                <text fill={colors.text} fontSize={NODE_FONT_SIZE} fontWeight={node.depth === 0 ? 700 : 500} textAnchor="middle" dominantBaseline="middle">
+                  {node.lines.map((line, index) => (
+                    <tspan key={index} x={node.x} y={firstLineY + index * LINE_HEIGHT}>{line}</tspan>
+                  ))}
+                </text>
+              </g>
+            );
+          })}
+        </g>
+      </svg>
+
+      <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+        <span className={`flex-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+          Haz clic en un concepto para que el tutor te lo explique.
+        </span>
+        <button onClick={() => onExport('svg')} className={`flex items-center gap-1 px-2 py-1 rounded ${toolButton}`} title="Descargar como SVG">
+          <Download className="w-3 h-3" /> SVG
+        </button>
+        <button onClick={() => onExport('png')} className={`flex items-center gap-1 px-2 py-1 rounded ${toolButton}`} title="Descargar como PNG">
+          <Download className="w-3 h-3" /> PNG
+        </button>
+      </div>
+    </div>
+  );
+};
+
+const readAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onload = (e) => resolve(e.target.result);
+  reader.onerror = () => reject(new Error("Error al leer el archivo. Intenta de nuevo."));
+  reader.readAsDataURL(file);
+});
+
+// Lee un archivo y extrae su texto (PDF con pdf.js, imágenes con OCR).
+// Devuelve el material o { error } si no se pudo usar.
+const readMaterialFile = async (file, setStatus) => {
+  const validation = validateFile(file);
+  if (!validation.valid) {
+    return { error: `${file.name}: ${validation.error}` };
+  }
 
-    reader.onerror = () => {
-      onFileLoad({ error: "Error al leer el archivo. Intenta de nuevo." });
+  try {
+    const base64String = (await readAsDataUrl(file)).split(',')[1];
+    const mimeType = file.type;
+    let text = `[Archivo cargado: ${file.name}]`;
+    let textSource = null;
+    let pages;
+    let ocr;
+
+    if (mimeType.startsWith('text/')) {
+      // file.text() decodifica en UTF-8 (atob leería los acentos como Latin-1)
+      text = await file.text();
+      textSource = 'text';
+    } else if (mimeType === 'application/pdf') {
+      setStatus(`Extrayendo texto de ${file.name}...`);
+      // pdf.js es pesado: se carga solo cuando se sube un PDF
+      const { extractPdfText } = await import('./materials/pdf.js');
+      const pdf = await extractPdfText(await file.arrayBuffer(), (page, total) => {
+        setStatus(`${file.name}: página ${page} de ${total}`);
+      });
+      text = pdf.text;
+      textSource = 'pdf';
+      pages = pdf.pages;
+    } else if (mimeType.startsWith('image/')) {
+      setStatus(`Reconociendo texto de ${file.name}...`);
+      const { recognizeImage } = await import('./materials/ocr.js');
+      const result = await recognizeImage(file, (progress) => {
+        setStatus(`${file.name}: reconociendo texto ${Math.round(progress * 100)}%`);
+      });
+      text = result.text;
+      textSource = 'ocr';
+      ocr = { confidence: result.confidence, lowConfidenceWords: result.lowConfidenceWords };
+    }
+
+    return {
+      id: createMaterialId(),
+      name: file.name,
+      mimeType: mimeType,
+      base64Data: base64String,
+      size: file.size,
+      text,
+      textSource,
+      pages,
+      ocr
     };
+  } catch (error) {
+    return { error: `${file.name}: ${error.message || "No se pudo procesar el archivo."}` };
+  }
+};
+
+// Los exámenes exportados (.json) se abren en lugar de añadirse como material
+const readExamFile = async (file) => {
+  if (file.size > MAX_FILE_SIZE) {
+    return { error: `${file.name}: El archivo es demasiado grande (${(file.size / 1024 / 1024).toFixed(2)}MB). Máximo: 10MB.` };
+  }
+  try {
+    return { exam: parseExamFile(await file.text()), name: file.name };
+  } catch (error) {
+    return { error: `${file.name}: ${error.message}` };
+  }
+};
+
+const FileUploader = React.memo(({ onFilesLoad, isGenerating, darkMode }) => {
+  const fileInputRef = useRef(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [extractionStatus, setExtractionStatus] = useState(null);
+
+  // Los archivos se procesan uno tras otro y se entregan juntos
+  const handleFiles = async (fileList) => {
+    const files = Array.from(fileList || []);
+    if (files.length === 0) return;
+
+    const results = [];
+    try {
+      for (const file of files) {
+        setExtractionStatus(files.length > 1 ? `Procesando ${file.name} (${results.length + 1}/${files.length})...` : `Procesando ${file.name}...`);
+        results.push(await (isExamFileName(file) ? readExamFile(file) : readMaterialFile(file, setExtractionStatus)));
+      }
+    } finally {
+      setExtractionStatus(null);
+    }
 
-    reader.readAsDataURL(file);
+    onFilesLoad(results);
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setIsDragging(false);
     
-    const file = e.dataTransfer.files[0];
-    handleFileChange(file);
+    handleFiles(e.dataTransfer.files);
   };
 
   const handleDragOver = (e) => {
@@ -334,14 +836,15 @@ const FileUploader = React.memo(({ onFileLoad, isGenerating, darkMode }) => {
         Sube tu Material de Estudio
       </h3>
       <p className={`text-sm mb-4 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
-        Soporta: PDF, TXT, MD, JPG, PNG (máx. 10MB)
+        Soporta: PDF, TXT, MD, JPG, PNG (máx. 10MB por archivo). Puedes subir varios.
+        También puedes abrir un examen exportado (.json).
       </p>
       
       <div
         onDrop={handleDrop}
         onDragOver={handleDragOver}
         onDragLeave={handleDragLeave}
-        onClick={() => !isGenerating && fileInputRef.current?.click()}
+        onClick={() => !isGenerating && !extractionStatus && fileInputRef.current?.click()}
         className={`
           w-full p-8 rounded-lg border-2 border-dashed transition-all duration-200 cursor-pointer
           ${isDragging ? 'border-blue-500 bg-blue-50 dark:bg-blue-900/20' : 'border-gray-300 dark:border-gray-600'}
@@ -351,7 +854,7 @@ const FileUploader = React.memo(({ onFileLoad, isGenerating, darkMode }) => {
         <div className="flex flex-col items-center gap-3">
           <Upload className={`w-12 h-12 ${isDragging ? 'text-blue-500' : 'text-gray-400'}`} />
           <p className={`text-center ${darkMode ? 'text-gray-300' : 'text-gray-700'}`}>
-            {isGenerating ? 'Procesando...' : isDragging ? 'Suelta el archivo aquí' : 'Arrastra un archivo o haz clic para seleccionar'}
+            {extractionStatus || (isGenerating ? 'Procesando...' : isDragging ? 'Suelta los archivos aquí' : 'Arrastra archivos o haz clic para seleccionar')}
           </p>
         </div>
       </div>
@@ -359,108 +862,861 @@ const FileUploader = React.memo(({ onFileLoad, isGenerating, darkMode }) => {
       <input
         type="file"
         ref={fileInputRef}
-        onChange={(e) => handleFileChange(e.target.files[0])}
-        accept={Object.values(ALLOWED_FILE_TYPES).flat().map(ext => `.${ext}`).join(',')}
+        onChange={(e) => {
+          handleFiles(e.target.files);
+          // Permite volver a elegir el mismo archivo
+          e.target.value = '';
+        }}
+        multiple
+        accept={[...Object.values(ALLOWED_FILE_TYPES).flat(), 'json'].map(ext => `.${ext}`).join(',')}
         className="hidden"
-        disabled={isGenerating}
+        disabled={isGenerating || !!extractionStatus}
       />
     </div>
   );
 });
 
-const ChatMessage = ({ message, darkMode }) => {
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Markdown seguro: react-markdown no interpreta HTML crudo y además se sanea el
+// árbol antes de resaltar el código; la salida del modelo nunca se inyecta como HTML.
+
+// KaTeX se aplica después de sanear para conservar sus clases y estilos
+const MARKDOWN_REMARK_PLUGINS = [remarkGfm, remarkMath];
+const MARKDOWN_REHYPE_PLUGINS = [
+  rehypeSanitize,
+  [rehypeKatex, { throwOnError: false, strict: 'ignore' }],
+  [rehypeHighlight, { detect: false }]
+];
+
+// Las citas enlazan a este prefijo y se muestran como botones
+const SOURCE_LINK_PREFIX = '#fuente-';
+
+// Convierte "(pág. 3, párrafo 2)" en un enlace interno a la fuente
+const linkCitations = (text, sources) => sources.reduce((result, source) => result.replace(
+  new RegExp(`\\(${escapeRegExp(source.label)}\\)`, 'g'),
+  `([${source.label.replace(/[[\]]/g, '\\$&')}](${SOURCE_LINK_PREFIX}${source.id}))`
+), text);
+
+// inline: para enunciados y opciones de examen, sin párrafos alrededor
+const MarkdownContent = ({ text, sources = [], onShowSource, inline = false, darkMode }) => {
+  const components = {
+    h1: ({ children }) => <h1 className="text-2xl font-bold mt-4 mb-2">{children}</h1>,
+    h2: ({ children }) => <h2 className="text-xl font-bold mt-4 mb-2">{children}</h2>,
+    h3: ({ children }) => <h3 className="text-lg font-semibold mt-3 mb-1">{children}</h3>,
+    p: ({ children }) => inline
+      ? <span>{children}</span>
+      : <p className="mb-2 last:mb-0 leading-relaxed">{children}</p>,
+    ul: ({ children }) => <ul className="list-disc ml-6 mb-2 space-y-1">{children}</ul>,
+    ol: ({ children }) => <ol className="list-decimal ml-6 mb-2 space-y-1">{children}</ol>,
+    blockquote: ({ children }) => <blockquote className="border-l-4 border-blue-500 pl-3 italic opacity-90 mb-2">{children}</blockquote>,
+    strong: ({ children }) => <strong className="font-bold">{children}</strong>,
+    em: ({ children }) => <em className="italic">{children}</em>,
+    table: ({ children }) => (
+      <div className="overflow-x-auto mb-2">
+        <table className="min-w-full text-sm border-collapse">{children}</table>
+      </div>
+    ),
+    th: ({ children, style }) => <th style={style} className={`border px-3 py-1 font-semibold ${darkMode ? 'border-gray-600 bg-gray-800' : 'border-gray-300 bg-gray-100'}`}>{children}</th>,
+    td: ({ children, style }) => <td style={style} className={`border px-3 py-1 ${darkMode ? 'border-gray-600' : 'border-gray-300'}`}>{children}</td>,
+    pre: ({ children }) => <pre className="mb-2 rounded-lg overflow-x-auto text-sm bg-gray-900 text-gray-100 p-3">{children}</pre>,
+    code: ({ className, children }) => className
+      ? <code className={className}>{children}</code>
+      : <code className={`px-1 rounded text-sm ${darkMode ? 'bg-gray-800' : 'bg-gray-200'}`}>{children}</code>,
+    a: ({ href = '', children }) => {
+      if (href.startsWith(SOURCE_LINK_PREFIX)) {
+        const source = sources.find(item => String(item.id) === href.slice(SOURCE_LINK_PREFIX.length));
+        return (
+          <button type="button" onClick={() => source && onShowSource?.(source)} className="text-blue-500 hover:underline text-sm">
+            {children}
+          </button>
+        );
+      }
+      // Los enlaces con protocolos no permitidos (javascript:, data:...) llegan sin href
+      if (!href) return <span>{children}</span>;
+      return (
+        <a href={href} target="_blank" rel="noopener noreferrer nofollow" className="text-blue-500 underline break-words">
+          {children}
+        </a>
+      );
+    }
+  };
+
+  return (
+    <ReactMarkdown
+      remarkPlugins={MARKDOWN_REMARK_PLUGINS}
+      rehypePlugins={MARKDOWN_REHYPE_PLUGINS}
+      components={components}
+    >
+      {linkCitations(normalizeMath(text || ''), sources)}
+    </ReactMarkdown>
+  );
+};
+
+const ChatMessage = ({ message, darkMode, onShowSource, onExport, onRegenerate, onShowConceptMap }) => {
   const isUser = message.role === 'user';
   const bgColor = isUser 
     ? (darkMode ? 'bg-blue-600' : 'bg-blue-500') 
     : (darkMode ? 'bg-gray-700' : 'bg-white border border-gray-200');
   const textColor = isUser ? 'text-white' : (darkMode ? 'text-gray-200' : 'text-gray-800');
   const alignment = isUser ? 'self-end' : 'self-start';
-
-  const formatText = (text) => {
-    if (!text) return null;
-    
-    let formatted = text
-      .replace(/\*\*(.*?)\*\*/g, '<strong class="font-bold">$1</strong>')
-      .replace(/\*(.*?)\*/g, '<em class="italic">$1</em>')
-      .replace(/`(.*?)`/g, '<code class="bg-gray-200 dark:bg-gray-800 px-1 rounded text-sm">$1</code>')
-      .replace(/\n/g, '<br/>');
-    
-    return formatted;
-  };
+  const sources = message.sources || [];
+  const exportable = !isUser && !message.meta && !message.streaming && onExport;
+  const exportButton = `flex items-center gap-1 px-2 py-1 rounded transition-colors ${darkMode ? 'text-gray-400 hover:bg-gray-700' : 'text-gray-500 hover:bg-gray-200'}`;
 
   return (
     <div className={`flex flex-col mb-4 max-w-[85%] ${alignment} animate-fade-in`}>
       <div className={`text-xs mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
         {isUser ? 'Tú' : '🤖 Tutor IA'}
       </div>
-      <div 
-        className={`p-4 rounded-2xl ${bgColor} ${textColor} shadow-md`}
-        dangerouslySetInnerHTML={{ __html: formatText(message.text) }}
-      />
+      <div className={`p-4 rounded-2xl ${bgColor} ${textColor} shadow-md`}>
+        <MarkdownContent text={message.text} sources={sources} onShowSource={onShowSource} darkMode={darkMode} />
+      </div>
+      {sources.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mt-2 text-xs">
+          <span className={darkMode ? 'text-gray-400' : 'text-gray-500'}>📎 Fuentes:</span>
+          {sources.map(source => (
+            <button
+              key={source.id}
+              onClick={() => onShowSource?.(source)}
+              className={`px-2 py-1 rounded-full transition-colors ${darkMode ? 'bg-gray-700 hover:bg-gray-600 text-gray-300' : 'bg-gray-200 hover:bg-gray-300 text-gray-700'}`}
+            >
+              {source.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {exportable && (
+        <div className="flex flex-wrap items-center gap-1 mt-1 text-xs">
+          {message.cachedAt && (
+            <>
+              <span className={`px-2 py-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`} title="No se ha vuelto a llamar al modelo">
+                ⚡ Respuesta guardada del {new Date(message.cachedAt).toLocaleDateString()}
+              </span>
+              {onRegenerate && message.request && (
+                <button onClick={() => onRegenerate(message)} className={exportButton} title="Pedir una respuesta nueva al modelo">
+                  🔄 Regenerar
+                </button>
+              )}
+            </>
+          )}
+          {message.conceptMap && onShowConceptMap && (
+            <button onClick={() => onShowConceptMap(message.conceptMap)} className={exportButton} title="Abrir el mapa junto al chat">
+              🗺️ Ver mapa
+            </button>
+          )}
+          <button onClick={() => onExport(message, 'markdown')} className={exportButton} title="Descargar en Markdown">
+            <Download className="w-3 h-3" /> Markdown
+          </button>
+          <button onClick={() => onExport(message, 'pdf')} className={exportButton} title="Imprimir o guardar como PDF">
+            <Printer className="w-3 h-3" /> PDF
+          </button>
+        </div>
+      )}
     </div>
   );
 };
 
-const ExamModal = ({ challenge, onClose, onSubmit, darkMode }) => {
-  const [selectedAnswers, setSelectedAnswers] = useState({});
-  const [submitted, setSubmitted] = useState(false);
-  const [score, setScore] = useState(0);
+// =====================================
+// DOCUMENTOS IMPRIMIBLES (ver export/print.js)
+// =====================================
 
-  const handleSelect = (qIndex, oIndex) => {
-    if (!submitted) {
-      setSelectedAnswers(prev => ({ ...prev, [qIndex]: oIndex }));
-    }
-  };
+const PrintableMessage = ({ message, title }) => (
+  <MarkdownContent text={messageToMarkdown(message, title)} sources={message.sources || []} darkMode={false} />
+);
+
+// answerKey: solucionario en lugar del examen en blanco
+const PrintableExam = ({ exam, answerKey = false }) => (
+  <>
+    <MarkdownContent text={answerKey ? answerKeyHeader(exam) : examSheetHeader(exam)} darkMode={false} />
+    {exam.questions.map((q, qIndex) => (
+      <section key={qIndex} className="print-question">
+        <MarkdownContent text={answerKey ? formatQuestionKey(q, qIndex) : formatQuestionSheet(q, qIndex)} darkMode={false} />
+      </section>
+    ))}
+  </>
+);
+
+const SourceExcerptModal = ({ source, materialName, onClose, darkMode }) => (
+  <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-70 backdrop-blur-sm animate-fade-in" onClick={onClose}>
+    <div
+      className={`w-full max-w-2xl max-h-[80vh] overflow-y-auto rounded-xl shadow-2xl p-6 ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-800'}`}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="flex justify-between items-center border-b pb-4 mb-4">
+        <div>
+          <h2 className="text-xl font-extrabold text-blue-500">Fragmento citado</h2>
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>{materialName} · {source.label}</p>
+        </div>
+        <button onClick={onClose} className="text-gray-400 hover:text-blue-500 transition-colors">
+          <X className="w-6 h-6" />
+        </button>
+      </div>
+      <blockquote className={`border-l-4 border-blue-500 pl-4 whitespace-pre-wrap ${darkMode ? 'text-gray-200' : 'text-gray-700'}`}>
+        {source.text}
+      </blockquote>
+    </div>
+  </div>
+);
 
-  const handleSubmit = () => {
-    setSubmitted(true);
-    let currentScore = 0;
-    
-    challenge.questions.forEach((q, qIndex) => {
-      if (selectedAnswers[qIndex] === q.correctAnswerIndex) {
-        currentScore++;
+const OcrReviewModal = ({ fileData, onConfirm, onCancel, darkMode }) => {
+  const [text, setText] = useState(fileData.text);
+  const { confidence, lowConfidenceWords } = fileData.ocr;
+  const confidenceColor = confidence >= 85 ? 'text-green-500' : confidence >= 60 ? 'text-yellow-500' : 'text-red-500';
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-70 backdrop-blur-sm animate-fade-in">
+      <div className={`w-full max-w-3xl max-h-[90vh] flex flex-col rounded-xl shadow-2xl p-6 ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-800'}`}>
+        <div className="flex justify-between items-center border-b pb-4 mb-4">
+          <h2 className="text-2xl font-extrabold text-blue-500">Revisa el texto reconocido</h2>
+          <button onClick={onCancel} className="text-gray-400 hover:text-blue-500 transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <p className="text-sm mb-2">
+          Archivo: <strong>{fileData.name}</strong> · Confianza del OCR: <strong className={confidenceColor}>{confidence}%</strong>
+        </p>
+        {lowConfidenceWords.length > 0 && (
+          <p className={`text-xs mb-3 ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            ⚠️ Revisa especialmente: {lowConfidenceWords.slice(0, 20).join(', ')}{lowConfidenceWords.length > 20 ? '…' : ''}
+          </p>
+        )}
+
+        <textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          className={`flex-grow min-h-[40vh] p-3 rounded-lg border-2 font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${darkMode ? 'bg-gray-800 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
+        />
+
+        <div className="mt-4 pt-4 border-t flex justify-end gap-3">
+          <button 
+            onClick={onCancel}
+            className="px-6 py-3 text-gray-500 font-semibold rounded-lg hover:text-red-500 transition-colors"
+          >
+            Descartar
+          </button>
+          <button 
+            onClick={() => onConfirm(text.trim())}
+            disabled={!text.trim()}
+            className="px-8 py-3 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed"
+          >
+            Usar este texto
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const ExamSetupModal = ({ onStart, onClose, darkMode }) => {
+  const [config, setConfig] = useState(DEFAULT_EXAM_CONFIG);
+  // Mientras el alumno no cambie los minutos, siguen al número de preguntas
+  const [minutesEdited, setMinutesEdited] = useState(false);
+
+  const toggleType = (type) => {
+    setConfig(prev => ({
+      ...prev,
+      types: prev.types.includes(type)
+        ? prev.types.filter(t => t !== type)
+        : [...prev.types, type]
+    }));
+  };
+
+  const toggleTimer = () => {
+    setMinutesEdited(false);
+    setConfig(prev => ({
+      ...prev,
+      timer: prev.timer ? null : { totalMinutes: suggestedExamMinutes(prev.count), perQuestionSeconds: 0 }
+    }));
+  };
+
+  const updateTimer = (field, value) => {
+    if (field === 'totalMinutes') setMinutesEdited(true);
+    setConfig(prev => ({ ...prev, timer: { ...prev.timer, [field]: parseInt(value, 10) } }));
+  };
+
+  const updateCount = (value) => {
+    const count = parseInt(value, 10);
+    setConfig(prev => ({
+      ...prev,
+      count,
+      timer: prev.timer && !minutesEdited && !Number.isNaN(count)
+        ? { ...prev.timer, totalMinutes: suggestedExamMinutes(count) }
+        : prev.timer
+    }));
+  };
+
+  const countIsValid = Number.isInteger(config.count) &&
+    config.count >= EXAM_QUESTION_LIMITS.min &&
+    config.count <= EXAM_QUESTION_LIMITS.max;
+  const timerIsValid = isValidTimer(config.timer);
+  const canStart = countIsValid && config.types.length > 0 && timerIsValid;
+
+  const numberInputClasses = `mt-2 w-full p-3 rounded-lg border-2 focus:outline-none focus:border-blue-500 ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'}`;
+
+  const chipClasses = (active) => `py-2 px-3 rounded-lg border-2 text-sm text-left transition-colors ${
+    active ? 'bg-blue-500/20 border-blue-500' : darkMode ? 'border-gray-600 hover:border-blue-500' : 'border-gray-300 hover:border-blue-500'
+  }`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-70 backdrop-blur-sm animate-fade-in">
+      <div className={`w-full max-w-lg max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl p-6 ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-800'}`}>
+        <div className="flex justify-between items-center border-b pb-4 mb-6">
+          <h2 className="text-2xl font-extrabold text-blue-500">Configurar Examen</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-blue-500 transition-colors">
+            <X className="w-6 h-6" />
+          </button>
+        </div>
+
+        <div className="space-y-6">
+          <label className="block">
+            <span className="font-semibold">Número de preguntas</span>
+            <input
+              type="number"
+              min={EXAM_QUESTION_LIMITS.min}
+              max={EXAM_QUESTION_LIMITS.max}
+              value={Number.isNaN(config.count) ? '' : config.count}
+              onChange={(e) => updateCount(e.target.value)}
+              className={numberInputClasses}
+            />
+            {!countIsValid && (
+              <span className="block mt-1 text-sm text-red-500">
+                Elige entre {EXAM_QUESTION_LIMITS.min} y {EXAM_QUESTION_LIMITS.max} preguntas.
+              </span>
+            )}
+          </label>
+
+          <div>
+            <span className="font-semibold">Dificultad</span>
+            <div className="mt-2 grid grid-cols-2 sm:grid-cols-4 gap-2">
+              {Object.entries(DIFFICULTY_OPTIONS).map(([id, label]) => (
+                <button
+                  key={id}
+                  onClick={() => setConfig(prev => ({ ...prev, difficulty: id }))}
+                  className={chipClasses(config.difficulty === id)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <span className="font-semibold">Tipos de pregunta</span>
+            <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-2">
+              {Object.entries(QUESTION_TYPES).map(([id, type]) => (
+                <button
+                  key={id}
+                  onClick={() => toggleType(id)}
+                  className={chipClasses(config.types.includes(id))}
+                >
+                  {config.types.includes(id) ? '☑' : '☐'} {type.label}
+                </button>
+              ))}
+            </div>
+            {config.types.length === 0 && (
+              <span className="block mt-1 text-sm text-red-500">Elige al menos un tipo de pregunta.</span>
+            )}
+          </div>
+
+          <div>
+            <label className="flex items-center gap-2 font-semibold cursor-pointer">
+              <input type="checkbox" checked={Boolean(config.timer)} onChange={toggleTimer} className="w-4 h-4" />
+              Modo simulacro (con tiempo)
+            </label>
+            <p className="text-sm text-gray-400 mt-1">
+              Una pregunta por pantalla y entrega automática al acabarse el tiempo; lo que quede sin responder cuenta como fallo.
+            </p>
+            {config.timer && (
+              <div className="mt-3 grid grid-cols-1 sm:grid-cols-2 gap-3">
+                <label className="block text-sm">
+                  Tiempo total (minutos)
+                  <input
+                    type="number"
+                    min={EXAM_TIMER_LIMITS.minMinutes}
+                    max={EXAM_TIMER_LIMITS.maxMinutes}
+                    value={Number.isNaN(config.timer.totalMinutes) ? '' : config.timer.totalMinutes}
+                    onChange={(e) => updateTimer('totalMinutes', e.target.value)}
+                    className={numberInputClasses}
+                  />
+                </label>
+                <label className="block text-sm">
+                  Límite por pregunta (segundos, 0 = sin límite)
+                  <input
+                    type="number"
+                    min={0}
+                    max={EXAM_TIMER_LIMITS.maxQuestionSeconds}
+                    value={Number.isNaN(config.timer.perQuestionSeconds) ? '' : config.timer.perQuestionSeconds}
+                    onChange={(e) => updateTimer('perQuestionSeconds', e.target.value)}
+                    className={numberInputClasses}
+                  />
+                </label>
+              </div>
+            )}
+            {!timerIsValid && (
+              <span className="block mt-1 text-sm text-red-500">
+                El tiempo total debe estar entre {EXAM_TIMER_LIMITS.minMinutes} y {EXAM_TIMER_LIMITS.maxMinutes} minutos, y el límite por pregunta entre {EXAM_TIMER_LIMITS.minQuestionSeconds} y {EXAM_TIMER_LIMITS.maxQuestionSeconds} segundos (o 0).
+              </span>
+            )}
+          </div>
+        </div>
+
+        <div className="mt-8 pt-6 border-t flex justify-end gap-3">
+          <button
+            onClick={onClose}
+            className={`px-6 py-3 font-bold rounded-lg transition-colors ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+          >
+            Cancelar
+          </button>
+          <button
+            onClick={() => onStart(config)}
+            disabled={!canStart}
+            className="px-8 py-3 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed"
+          >
+            Generar Examen
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Controles de respuesta de cada tipo de pregunta
+// disabled bloquea la respuesta sin mostrar la corrección (p. ej. tiempo agotado)
+const QuestionInput = ({ question, answer, onChange, submitted, disabled = false, darkMode }) => {
+  const type = question.type || 'single';
+  const inputClasses = `w-full p-3 rounded-lg border-2 focus:outline-none focus:border-blue-500 disabled:opacity-70 ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'}`;
+
+  const choiceButton = ({ key, label, isSelected, isCorrect, onClick, marker }) => {
+    const isWrong = submitted && isSelected && !isCorrect;
+    return (
+      <button
+        key={key}
+        onClick={onClick}
+        disabled={submitted || disabled}
+        className={`
+          w-full text-left py-3 px-4 rounded-lg transition-all border-2
+          ${submitted ? 'cursor-default' : 'cursor-pointer hover:border-blue-500'}
+          ${submitted && isCorrect ? 'bg-green-500/20 border-green-500 font-bold' : ''}
+          ${isWrong ? 'bg-red-500/20 border-red-500 opacity-70' : ''}
+          ${!submitted && isSelected ? 'bg-blue-500/20 border-blue-500' : ''}
+          ${!submitted && !isSelected ? 'border-gray-300 dark:border-gray-600' : ''}
+        `}
+      >
+        <span className="font-mono mr-2">{marker}</span>
+        <MarkdownContent inline text={label} darkMode={darkMode} />
+        {submitted && isCorrect && <span className="ml-2">✅</span>}
+        {isWrong && <span className="ml-2">❌</span>}
+      </button>
+    );
+  };
+
+  switch (type) {
+    case 'truefalse':
+      return (
+        <div className="grid grid-cols-2 gap-2">
+          {[true, false].map(value => choiceButton({
+            key: String(value),
+            label: value ? 'Verdadero' : 'Falso',
+            marker: value ? 'V' : 'F',
+            isSelected: answer === value,
+            isCorrect: value === question.correctAnswer,
+            onClick: () => onChange(value)
+          }))}
+        </div>
+      );
+
+    case 'multiple': {
+      const selected = answer || [];
+      return (
+        <div className="space-y-2">
+          <p className="text-sm opacity-70">Puede haber varias respuestas correctas.</p>
+          {question.options.map((option, oIndex) => choiceButton({
+            key: oIndex,
+            label: option,
+            marker: `${selected.includes(oIndex) ? '☑' : '☐'} ${String.fromCharCode(65 + oIndex)}.`,
+            isSelected: selected.includes(oIndex),
+            isCorrect: question.correctAnswerIndices.includes(oIndex),
+            onClick: () => onChange(selected.includes(oIndex)
+              ? selected.filter(index => index !== oIndex)
+              : [...selected, oIndex].sort((a, b) => a - b))
+          }))}
+        </div>
+      );
+    }
+
+    case 'fill':
+      return (
+        <input
+          type="text"
+          value={answer || ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={submitted || disabled}
+          placeholder="Escribe la palabra que falta..."
+          className={inputClasses}
+        />
+      );
+
+    case 'matching': {
+      const order = question.rightOrder || question.pairs.map((_, index) => index);
+      return (
+        <div className="space-y-2">
+          {question.pairs.map((pair, leftIndex) => (
+            <div key={leftIndex} className="grid grid-cols-1 sm:grid-cols-2 gap-2 items-center">
+              <span className="font-medium"><MarkdownContent inline text={pair.left} darkMode={darkMode} /></span>
+              <select
+                value={answer?.[leftIndex] ?? ''}
+                onChange={(e) => onChange({
+                  ...answer,
+                  [leftIndex]: e.target.value === '' ? undefined : Number(e.target.value)
+                })}
+                disabled={submitted || disabled}
+                className={`${inputClasses} ${submitted ? (answer?.[leftIndex] === leftIndex ? 'border-green-500' : 'border-red-500') : ''}`}
+              >
+                <option value="">Elige su pareja...</option>
+                {order.map(rightIndex => (
+                  <option key={rightIndex} value={rightIndex}>{question.pairs[rightIndex].right}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      );
+    }
+
+    case 'short':
+    case 'essay':
+      return (
+        <textarea
+          value={answer || ''}
+          onChange={(e) => onChange(e.target.value)}
+          disabled={submitted || disabled}
+          rows={type === 'essay' ? 7 : 3}
+          placeholder="Escribe tu respuesta..."
+          className={`${inputClasses} resize-y`}
+        />
+      );
+
+    default:
+      return (
+        <div className="space-y-2">
+          {question.options.map((option, oIndex) => choiceButton({
+            key: oIndex,
+            label: option,
+            marker: `${String.fromCharCode(65 + oIndex)}.`,
+            isSelected: answer === oIndex,
+            isCorrect: oIndex === question.correctAnswerIndex,
+            onClick: () => onChange(oIndex)
+          }))}
+        </div>
+      );
+  }
+};
+
+// Cuenta atrás en formato m:ss
+const formatClock = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// Tipos cuya respuesta correcta no se ve en las propias opciones
+const TYPES_WITH_WRITTEN_SOLUTION = ['fill', 'matching', 'short', 'essay'];
+
+const ExamModal = ({ challenge, onClose, onSubmit, onPractice, canPractice, onExport, darkMode }) => {
+  const [selectedAnswers, setSelectedAnswers] = useState({});
+  const [submitted, setSubmitted] = useState(false);
+  const [results, setResults] = useState([]);
+  const [attempt, setAttempt] = useState(null);
+  const [grading, setGrading] = useState(false);
+  const gradingControllerRef = useRef(null);
+  const [startedAt] = useState(() => Date.now());
+  // Tiempo por pregunta. Sin cronómetro, lo transcurrido desde la interacción
+  // anterior se atribuye a la pregunta que se acaba de responder; en modo
+  // simulacro cuenta el tiempo que cada pregunta estuvo en pantalla.
+  const timingRef = useRef({ lastInteraction: null, viewStartedAt: null, timeSpent: {} });
+
+  // Modo simulacro: una pregunta por pantalla, cuenta atrás global y límite opcional por pregunta
+  const timer = challenge.config?.timer || null;
+  const [currentIndex, setCurrentIndex] = useState(0);
+  const [flagged, setFlagged] = useState({});
+  const [lockedQuestions, setLockedQuestions] = useState({});
+  const [now, setNow] = useState(startedAt);
+  const [questionElapsed, setQuestionElapsed] = useState(0);
+  const tickRef = useRef(null);
+  const deadline = timer ? startedAt + timer.totalMinutes * 60 * 1000 : null;
+  const questionLimitMs = timer?.perQuestionSeconds ? timer.perQuestionSeconds * 1000 : null;
+
+  // Al cerrar el examen se cancela la corrección pendiente
+  useEffect(() => () => gradingControllerRef.current?.abort(), []);
+
+  const handleAnswer = (qIndex, value) => {
+    if (!submitted && !grading && !lockedQuestions[qIndex]) {
+      if (!timer) {
+        const now = Date.now();
+        const timing = timingRef.current;
+        timing.timeSpent[qIndex] = (timing.timeSpent[qIndex] || 0) + now - (timing.lastInteraction ?? startedAt);
+        timing.lastInteraction = now;
       }
-    });
-    
-    setScore(currentScore);
-    
+      setSelectedAnswers(prev => ({ ...prev, [qIndex]: value }));
+    }
+  };
+
+  // Suma a la pregunta en pantalla el tiempo desde que se mostró
+  const flushViewTime = (at) => {
+    const timing = timingRef.current;
+    timing.timeSpent[currentIndex] = (timing.timeSpent[currentIndex] || 0) + at - (timing.viewStartedAt ?? startedAt);
+    timing.viewStartedAt = at;
+  };
+
+  const goToQuestion = (index) => {
+    if (index === currentIndex || index < 0 || index >= challenge.questions.length) return;
+    flushViewTime(Date.now());
+    setCurrentIndex(index);
+    setQuestionElapsed(timingRef.current.timeSpent[index] || 0);
+  };
+
+  const toggleFlag = (qIndex) => {
+    setFlagged(prev => ({ ...prev, [qIndex]: !prev[qIndex] }));
+  };
+
+  // Se ejecuta cada segundo en modo simulacro (vía tickRef, con el estado actual)
+  const tick = () => {
+    const current = Date.now();
+    setNow(current);
+
+    if (current >= deadline) {
+      handleSubmit();
+      return;
+    }
+
+    if (!questionLimitMs || lockedQuestions[currentIndex]) return;
+
+    const timing = timingRef.current;
+    const elapsed = (timing.timeSpent[currentIndex] || 0) + current - (timing.viewStartedAt ?? startedAt);
+    setQuestionElapsed(elapsed);
+    if (elapsed < questionLimitMs) return;
+
+    // Tiempo de la pregunta agotado: se bloquea y se pasa a la siguiente abierta
+    const locked = { ...lockedQuestions, [currentIndex]: true };
+    setLockedQuestions(locked);
+    const total = challenge.questions.length;
+    const next = Array.from({ length: total - 1 }, (_, offset) => (currentIndex + offset + 1) % total)
+      .find(index => !locked[index]);
+    if (next === undefined) {
+      handleSubmit();
+    } else {
+      goToQuestion(next);
+    }
+  };
+
+  useEffect(() => {
+    tickRef.current = tick;
+  });
+
+  useEffect(() => {
+    if (!timer || submitted || grading) return;
+    const interval = setInterval(() => tickRef.current(), 1000);
+    return () => clearInterval(interval);
+  }, [timer, submitted, grading]);
+
+  const answeredCount = challenge.questions
+    .filter((q, qIndex) => getQuestionType(q).isAnswered(selectedAnswers[qIndex], q))
+    .length;
+
+  const handleSubmit = async () => {
+    // Evita una segunda entrega (p. ej. el cronómetro mientras se corrige)
+    if (gradingControllerRef.current || submitted) return;
+
+    const finishedAt = Date.now();
+    if (timer) flushViewTime(finishedAt);
+    const controller = new AbortController();
+    gradingControllerRef.current = controller;
+    setGrading(true);
+
+    let graded;
+    try {
+      graded = await gradeExam({ questions: challenge.questions, answers: selectedAnswers, signal: controller.signal });
+    } catch (error) {
+      if (!isAbortError(error)) console.error("Error al corregir el examen:", error);
+      return;
+    } finally {
+      gradingControllerRef.current = null;
+      setGrading(false);
+    }
+
+    const currentScore = graded.results.reduce((sum, result) => sum + result.score, 0);
+
+    setSubmitted(true);
+    setResults(graded.results);
+
     const percentage = Math.round((currentScore / challenge.questions.length) * 100);
-    const resultText = `📊 **Resultados del Examen**\n\nPuntuación: **${currentScore}/${challenge.questions.length}** (${percentage}%)\n\n` + 
+    const gradingNote = graded.aiError
+      ? `⚠️ No se pudieron corregir las respuestas abiertas con la IA; se puntuaron por conceptos clave.\n\n`
+      : '';
+    const resultText = `📊 **Resultados del Examen**\n\nPuntuación: **${formatScore(currentScore)}/${challenge.questions.length}** (${percentage}%)\n\n${gradingNote}` + 
       challenge.questions.map((q, qIndex) => {
-        const isCorrect = selectedAnswers[qIndex] === q.correctAnswerIndex;
-        const userChoice = selectedAnswers[qIndex] !== undefined ? q.options[selectedAnswers[qIndex]] : "Sin responder";
+        const type = getQuestionType(q);
+        const answer = selectedAnswers[qIndex];
+        const result = graded.results[qIndex];
+        const userChoice = type.isAnswered(answer, q) ? type.formatAnswer(q, answer) : "Sin responder";
+        const mark = result.correct ? '✅' : result.score > 0 ? '🟡' : '❌';
+        const points = result.maxPoints
+          ? ` (${formatScore(result.points)}/${result.maxPoints} puntos)`
+          : '';
         
         return (
           `**Pregunta ${qIndex + 1}:** ${q.question}\n` +
-          `Tu respuesta: *${userChoice}* ${isCorrect ? '✅' : '❌'}\n` +
-          `${!isCorrect ? `Respuesta correcta: *${q.options[q.correctAnswerIndex]}*\n` : ''}` +
+          `Tu respuesta: *${userChoice}* ${mark}${points}\n` +
+          `${!result.correct ? `Respuesta correcta: *${type.formatCorrect(q)}*\n` : ''}` +
+          `${result.missingIdeas?.length ? `Ideas que faltaron: ${result.missingIdeas.join('; ')}\n` : ''}` +
+          `${result.feedback ? `📝 ${result.feedback}\n` : ''}` +
           `💡 ${q.explanation}\n`
         );
       }).join('\n---\n');
     
-    onSubmit(resultText);
+    const completedAttempt = {
+      title: challenge.title,
+      questions: challenge.questions,
+      answers: selectedAnswers,
+      results: graded.results,
+      score: currentScore,
+      total: challenge.questions.length,
+      materials: challenge.materials || [],
+      startedAt,
+      completedAt: finishedAt,
+      durationMs: finishedAt - startedAt,
+      timeSpent: { ...timingRef.current.timeSpent },
+      ...(timer ? { timed: true, timeLimitMs: timer.totalMinutes * 60 * 1000 } : {}),
+      ...(challenge.practice ? { practiceRound: challenge.practice.round } : {})
+    };
+
+    setAttempt(completedAttempt);
+    onSubmit(resultText, completedAttempt);
   };
 
   if (!challenge) return null;
 
+  const score = results.reduce((sum, result) => sum + result.score, 0);
   const percentage = submitted ? Math.round((score / challenge.questions.length) * 100) : 0;
+  const masteryReached = Boolean(attempt && challenge.practice && hasReachedMastery(attempt));
+  const exportButton = `flex items-center gap-1 px-2 py-1 text-sm rounded-lg transition-colors ${darkMode ? 'text-gray-300 hover:bg-gray-800' : 'text-gray-600 hover:bg-gray-100'}`;
+  const unansweredCount = challenge.questions.length - answeredCount;
+  // Se ofrece otra ronda mientras queden fallos, salvo que la práctica ya alcanzó el dominio
+  const canPracticeMistakes = Boolean(attempt) && getMissedQuestions(attempt).length > 0 && !masteryReached;
+
+  const renderQuestion = (q, qIndex) => (
+    <div key={qIndex} className={`p-5 rounded-lg border-2 transition-all ${submitted && !results[qIndex].correct ? (results[qIndex].score > 0 ? 'border-yellow-500' : 'border-red-500') : darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+      <h4 className="text-lg font-semibold mb-4">
+        <span className="text-blue-500 mr-2">{qIndex + 1}.</span>
+        <MarkdownContent inline text={q.question} darkMode={darkMode} />
+        {q.difficulty && DIFFICULTY_OPTIONS[q.difficulty] && (
+          <span className="ml-2 text-xs font-normal px-2 py-0.5 rounded-full bg-blue-500/20 text-blue-400 align-middle">
+            {DIFFICULTY_OPTIONS[q.difficulty]}
+          </span>
+        )}
+      </h4>
+      
+      <QuestionInput
+        question={q}
+        answer={selectedAnswers[qIndex]}
+        onChange={(value) => handleAnswer(qIndex, value)}
+        submitted={submitted}
+        disabled={Boolean(lockedQuestions[qIndex])}
+        darkMode={darkMode}
+      />
+
+      {!submitted && lockedQuestions[qIndex] && (
+        <p className="mt-3 text-sm text-red-500">⏱️ Se agotó el tiempo de esta pregunta.</p>
+      )}
+
+      {submitted && attempt?.timeSpent[qIndex] !== undefined && (
+        <p className="mt-3 text-xs text-gray-400">⏱️ Tiempo dedicado: {formatClock(attempt.timeSpent[qIndex])}</p>
+      )}
+
+      {submitted && results[qIndex].gradedBy && (
+        <div className={`mt-4 p-3 rounded-lg text-sm space-y-1 ${darkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+          <p>
+            <strong>📝 Puntuación:</strong>{' '}
+            {results[qIndex].maxPoints
+              ? `${formatScore(results[qIndex].points)} / ${results[qIndex].maxPoints} puntos`
+              : `${Math.round(results[qIndex].score * 100)}% de los conceptos clave`}
+            {results[qIndex].gradedBy === 'keywords' && (
+              <span className="opacity-70"> (corrección automática por conceptos clave)</span>
+            )}
+          </p>
+          {results[qIndex].missingIdeas?.length > 0 && (
+            <div>
+              <strong>Ideas que faltaron:</strong>
+              <ul className="list-disc ml-5">
+                {results[qIndex].missingIdeas.map((idea, index) => <li key={index}><MarkdownContent inline text={idea} darkMode={darkMode} /></li>)}
+              </ul>
+            </div>
+          )}
+          {results[qIndex].feedback && <p><MarkdownContent inline text={results[qIndex].feedback} darkMode={darkMode} /></p>}
+        </div>
+      )}
+
+      {submitted && !results[qIndex].correct && TYPES_WITH_WRITTEN_SOLUTION.includes(q.type) && (
+        <div className="mt-4 p-3 rounded-lg text-sm bg-green-500/10 text-green-400">
+          <strong>✅ {getQuestionType(q).open ? 'Respuesta modelo' : 'Respuesta correcta'}:</strong>{' '}
+          <MarkdownContent inline text={getQuestionType(q).formatCorrect(q)} darkMode={darkMode} />
+        </div>
+      )}
+
+      {submitted && (
+        <div className={`mt-4 p-3 rounded-lg text-sm ${results[qIndex].correct ? 'bg-green-500/10 text-green-400' : 'bg-yellow-500/10 text-yellow-400'}`}>
+          <strong>💡 Explicación:</strong> <MarkdownContent inline text={q.explanation} darkMode={darkMode} />
+        </div>
+      )}
+    </div>
+  );
 
   return (
     <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-70 backdrop-blur-sm animate-fade-in">
       <div className={`w-full max-w-4xl max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl p-6 ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-800'}`}>
         <div className="flex justify-between items-center border-b pb-4 mb-6">
           <h2 className="text-2xl font-extrabold text-blue-500">{challenge.title}</h2>
-          <button onClick={onClose} className="text-gray-400 hover:text-blue-500 transition-colors">
-            <X className="w-6 h-6" />
-          </button>
+          <div className="flex flex-wrap items-center justify-end gap-2">
+            {/* Todas las exportaciones incluyen las respuestas: en modo simulacro esperan a la entrega */}
+            {(!timer || submitted) && (
+              <>
+                <button onClick={() => onExport('sheet')} className={exportButton} title="Imprimir el examen en blanco o guardarlo como PDF">
+                  <Printer className="w-4 h-4" /> Examen
+                </button>
+                <button onClick={() => onExport('key')} className={exportButton} title="Imprimir el solucionario o guardarlo como PDF">
+                  <Printer className="w-4 h-4" /> Solucionario
+                </button>
+                <button onClick={() => onExport('markdown')} className={exportButton} title="Descargar examen y solucionario en Markdown">
+                  <Download className="w-4 h-4" /> .md
+                </button>
+                <button onClick={() => onExport('json')} className={exportButton} title="Guardar el examen para volver a abrirlo">
+                  <Download className="w-4 h-4" /> .json
+                </button>
+                <button onClick={() => onExport('link')} className={exportButton} title="Copiar un enlace para que otra persona haga este examen">
+                  <Link className="w-4 h-4" /> Enlace
+                </button>
+              </>
+            )}
+            <button onClick={onClose} className="text-gray-400 hover:text-blue-500 transition-colors">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
         </div>
         
         {submitted && (
           <div className={`p-6 mb-6 rounded-lg text-center ${percentage >= 80 ? 'bg-green-500/20 border-2 border-green-500' : percentage >= 60 ? 'bg-yellow-500/20 border-2 border-yellow-500' : 'bg-red-500/20 border-2 border-red-500'}`}>
-            <h3 className="text-3xl font-bold mb-2">{score} / {challenge.questions.length}</h3>
+            <h3 className="text-3xl font-bold mb-2">{formatScore(score)} / {challenge.questions.length}</h3>
             <p className="text-lg">
               {percentage >= 80 ? '🎉 ¡Excelente trabajo!' : percentage >= 60 ? '👍 Buen intento' : '📚 Sigue estudiando'}
             </p>
+            {challenge.practice && (
+              <p className="text-sm mt-2">
+                {masteryReached
+                  ? `🏆 ¡Has dominado estos conceptos! Superaste el ${MASTERY_THRESHOLD}% en la ronda ${challenge.practice.round}.`
+                  : `Ronda ${challenge.practice.round} de práctica · objetivo: ${MASTERY_THRESHOLD}%`}
+              </p>
+            )}
             <div className="w-full bg-gray-200 rounded-full h-2 mt-4">
               <div 
                 className={`h-2 rounded-full transition-all duration-500 ${percentage >= 80 ? 'bg-green-500' : percentage >= 60 ? 'bg-yellow-500' : 'bg-red-500'}`}
@@ -470,74 +1726,554 @@ const ExamModal = ({ challenge, onClose, onSubmit, darkMode }) => {
           </div>
         )}
 
-        <div className="space-y-6">
-          {challenge.questions.map((q, qIndex) => (
-            <div key={qIndex} className={`p-5 rounded-lg border-2 transition-all ${submitted && selectedAnswers[qIndex] !== q.correctAnswerIndex ? 'border-red-500' : darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
-              <h4 className="text-lg font-semibold mb-4">
-                <span className="text-blue-500 mr-2">{qIndex + 1}.</span>
-                {q.question}
-              </h4>
-              
-              <div className="space-y-2">
-                {q.options.map((option, oIndex) => {
-                  const isSelected = selectedAnswers[qIndex] === oIndex;
-                  const isCorrect = submitted && oIndex === q.correctAnswerIndex;
-                  const isWrong = submitted && isSelected && !isCorrect;
-
-                  return (
-                    <button
-                      key={oIndex}
-                      onClick={() => handleSelect(qIndex, oIndex)}
-                      disabled={submitted}
-                      className={`
-                        w-full text-left py-3 px-4 rounded-lg transition-all border-2
-                        ${submitted ? 'cursor-default' : 'cursor-pointer hover:border-blue-500'}
-                        ${isCorrect ? 'bg-green-500/20 border-green-500 font-bold' : ''}
-                        ${isWrong ? 'bg-red-500/20 border-red-500 opacity-70' : ''}
-                        ${!submitted && isSelected ? 'bg-blue-500/20 border-blue-500' : ''}
-                        ${!submitted && !isSelected ? 'border-gray-300 dark:border-gray-600' : ''}
-                      `}
-                    >
-                      <span className="font-mono mr-2">{String.fromCharCode(65 + oIndex)}.</span>
-                      {option}
-                      {isCorrect && <span className="ml-2">✅</span>}
-                      {isWrong && <span className="ml-2">❌</span>}
-                    </button>
-                  );
-                })}
-              </div>
-
-              {submitted && (
-                <div className={`mt-4 p-3 rounded-lg text-sm ${selectedAnswers[qIndex] === q.correctAnswerIndex ? 'bg-green-500/10 text-green-400' : 'bg-yellow-500/10 text-yellow-400'}`}>
-                  <strong>💡 Explicación:</strong> {q.explanation}
-                </div>
+        {timer && !submitted ? (
+          <>
+            <div className={`flex flex-wrap justify-between items-center gap-3 mb-4 p-3 rounded-lg ${deadline - now < 60 * 1000 ? 'bg-red-500/20 text-red-400' : darkMode ? 'bg-gray-800' : 'bg-gray-100'}`}>
+              <span className="font-mono text-lg font-bold">⏱️ {formatClock(deadline - now)}</span>
+              {questionLimitMs && !lockedQuestions[currentIndex] && (
+                <span className="font-mono text-sm">Pregunta: {formatClock(questionLimitMs - questionElapsed)}</span>
               )}
+              <span className="text-sm">{answeredCount}/{challenge.questions.length} respondidas</span>
             </div>
-          ))}
-        </div>
+
+            <div className="flex flex-wrap gap-2 mb-6" aria-label="Navegador de preguntas">
+              {challenge.questions.map((q, qIndex) => {
+                const answered = getQuestionType(q).isAnswered(selectedAnswers[qIndex], q);
+                return (
+                  <button
+                    key={qIndex}
+                    onClick={() => goToQuestion(qIndex)}
+                    title={flagged[qIndex] ? 'Marcada para revisar' : lockedQuestions[qIndex] ? 'Tiempo agotado' : ''}
+                    className={`
+                      relative w-10 h-10 rounded-lg font-bold text-sm border-2 transition-colors
+                      ${qIndex === currentIndex ? 'border-blue-500' : 'border-transparent'}
+                      ${answered ? 'bg-blue-600 text-white' : darkMode ? 'bg-gray-700' : 'bg-gray-200'}
+                      ${lockedQuestions[qIndex] ? 'opacity-50' : ''}
+                    `}
+                  >
+                    {qIndex + 1}
+                    {flagged[qIndex] && <span className="absolute -top-2 -right-2 text-xs">🚩</span>}
+                  </button>
+                );
+              })}
+            </div>
+
+            {renderQuestion(challenge.questions[currentIndex], currentIndex)}
+
+            <div className="mt-4 flex flex-wrap justify-between gap-3">
+              <button
+                onClick={() => goToQuestion(currentIndex - 1)}
+                disabled={currentIndex === 0}
+                className={`px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-40 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+              >
+                ← Anterior
+              </button>
+              <button
+                onClick={() => toggleFlag(currentIndex)}
+                className={`px-4 py-2 rounded-lg font-medium border-2 transition-colors ${flagged[currentIndex] ? 'border-orange-500 bg-orange-500/20' : 'border-gray-400 hover:border-orange-500'}`}
+              >
+                🚩 {flagged[currentIndex] ? 'Marcada para revisar' : 'Marcar para revisar'}
+              </button>
+              <button
+                onClick={() => goToQuestion(currentIndex + 1)}
+                disabled={currentIndex === challenge.questions.length - 1}
+                className={`px-4 py-2 rounded-lg font-medium transition-colors disabled:opacity-40 ${darkMode ? 'bg-gray-700 hover:bg-gray-600' : 'bg-gray-200 hover:bg-gray-300'}`}
+              >
+                Siguiente →
+              </button>
+            </div>
+          </>
+        ) : (
+          <div className="space-y-6">
+            {challenge.questions.map(renderQuestion)}
+          </div>
+        )}
 
         <div className="mt-8 pt-6 border-t flex justify-end gap-3">
           {!submitted ? (
             <button 
               onClick={handleSubmit}
-              disabled={Object.keys(selectedAnswers).length < challenge.questions.length}
+              disabled={grading || (!timer && unansweredCount > 0)}
               className="px-8 py-3 bg-green-600 text-white font-bold rounded-lg hover:bg-green-700 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed"
             >
-              {Object.keys(selectedAnswers).length < challenge.questions.length 
-                ? `Responder (${Object.keys(selectedAnswers).length}/${challenge.questions.length})`
-                : 'Finalizar Examen'
+              {grading
+                ? 'Corrigiendo respuestas...'
+                : unansweredCount === 0
+                  ? 'Finalizar Examen'
+                  : timer
+                    ? `Entregar (${unansweredCount} sin responder)`
+                    : `Responder (${answeredCount}/${challenge.questions.length})`
               }
             </button>
           ) : (
-            <button 
-              onClick={onClose}
-              className="px-8 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors"
+            <>
+              {canPracticeMistakes && (
+                <button
+                  onClick={() => onPractice(attempt)}
+                  disabled={!canPractice}
+                  title={canPractice ? undefined : 'Necesita un material seleccionado y que no haya otra respuesta en curso'}
+                  className="px-6 py-3 bg-orange-500 text-white font-bold rounded-lg hover:bg-orange-600 transition-colors disabled:bg-gray-500 disabled:cursor-not-allowed"
+                >
+                  Practicar mis errores
+                </button>
+              )}
+              <button 
+                onClick={onClose}
+                className="px-8 py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors"
+              >
+                Cerrar
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const FlashcardReview = ({ onClose, onChange, onExport, darkMode }) => {
+  const [queue, setQueue] = useState(null);
+  const [revealed, setRevealed] = useState(false);
+  const [reviewedCount, setReviewedCount] = useState(0);
+
+  useEffect(() => {
+    getDueFlashcards()
+      .then(setQueue)
+      .catch(error => {
+        console.error("Error al cargar las tarjetas:", error);
+        setQueue([]);
+      });
+  }, []);
+
+  const card = queue?.[0];
+
+  const handleGrade = async (grade) => {
+    const updated = scheduleCard(card, grade);
+    try {
+      await updateFlashcard(updated);
+    } catch (error) {
+      console.error("Error al guardar el repaso:", error);
+    }
+    // "Otra vez" la devuelve al final de la cola de hoy
+    setQueue(prev => grade === 'again' ? [...prev.slice(1), updated] : prev.slice(1));
+    setRevealed(false);
+    setReviewedCount(prev => prev + 1);
+    onChange();
+  };
+
+  const handleDelete = async () => {
+    try {
+      await deleteFlashcard(card.id);
+    } catch (error) {
+      console.error("Error al borrar la tarjeta:", error);
+    }
+    setQueue(prev => prev.slice(1));
+    setRevealed(false);
+    onChange();
+  };
+
+  const intervals = card ? previewIntervals(card) : {};
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-70 backdrop-blur-sm animate-fade-in">
+      <div className={`w-full max-w-2xl max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl p-6 ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-800'}`}>
+        <div className="flex justify-between items-center border-b pb-4 mb-6">
+          <h2 className="text-2xl font-extrabold text-blue-500">Repaso del día</h2>
+          <div className="flex items-center gap-4">
+            {queue && (
+              <span className="text-sm text-gray-400">
+                {reviewedCount} repasadas · {queue.length} pendientes
+              </span>
+            )}
+            <button
+              onClick={onExport}
+              className={`flex items-center gap-1 px-2 py-1 text-sm rounded-lg transition-colors ${darkMode ? 'text-gray-300 hover:bg-gray-800' : 'text-gray-600 hover:bg-gray-100'}`}
+              title="Descargar todas las tarjetas para importarlas en Anki"
             >
-              Cerrar
+              <Download className="w-4 h-4" /> Anki
             </button>
-          )}
+            <button onClick={onClose} className="text-gray-400 hover:text-blue-500 transition-colors">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        {!queue ? (
+          <p className="text-center text-gray-400 py-12">Cargando tarjetas...</p>
+        ) : !card ? (
+          <div className="text-center py-12 space-y-2">
+            <p className="text-3xl">🎉</p>
+            <p className="text-lg font-semibold">
+              {reviewedCount > 0 ? '¡Has terminado el repaso de hoy!' : 'No tienes tarjetas pendientes hoy.'}
+            </p>
+            <p className="text-sm text-gray-400">
+              Crea tarjetas desde el material o falla alguna pregunta de examen para tener qué repasar.
+            </p>
+          </div>
+        ) : (
+          <>
+            <div className="flex justify-between items-center text-xs text-gray-400 mb-2">
+              <span>{card.deckName} · {card.source === 'exam' ? 'Pregunta de examen' : 'Material'}</span>
+              <button onClick={handleDelete} className="flex items-center gap-1 hover:text-red-500 transition-colors" title="Borrar tarjeta">
+                <Trash2 className="w-4 h-4" /> Borrar
+              </button>
+            </div>
+            <div className={`p-6 rounded-lg border-2 min-h-[10rem] ${darkMode ? 'border-gray-700' : 'border-gray-200'}`}>
+              <div className="text-lg font-semibold">
+                <MarkdownContent text={card.front} darkMode={darkMode} />
+              </div>
+              {revealed && (
+                <div className={`mt-4 pt-4 border-t ${darkMode ? 'border-gray-700 text-gray-200' : 'border-gray-200 text-gray-700'}`}>
+                  <MarkdownContent text={card.back} darkMode={darkMode} />
+                </div>
+              )}
+            </div>
+
+            <div className="mt-6">
+              {!revealed ? (
+                <button
+                  onClick={() => setRevealed(true)}
+                  className="w-full py-3 bg-blue-600 text-white font-bold rounded-lg hover:bg-blue-700 transition-colors"
+                >
+                  Mostrar respuesta
+                </button>
+              ) : (
+                <div className="grid grid-cols-2 sm:grid-cols-4 gap-2">
+                  {Object.entries(GRADES).map(([grade, { label, color }]) => (
+                    <button
+                      key={grade}
+                      onClick={() => handleGrade(grade)}
+                      className={`py-3 px-2 text-white font-bold rounded-lg transition-colors ${color}`}
+                    >
+                      {label}
+                      <span className="block text-xs font-normal opacity-80">{intervals[grade]}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Barra horizontal con etiqueta y valor, para las listas del panel de progreso
+const StatBar = ({ label, value, max = 100, detail, color = 'bg-blue-500', darkMode }) => (
+  <div>
+    <div className="flex justify-between text-sm mb-1">
+      <span className="truncate mr-2">{label}</span>
+      <span className="text-gray-400 whitespace-nowrap">{detail}</span>
+    </div>
+    <div className={`w-full rounded-full h-2 ${darkMode ? 'bg-gray-700' : 'bg-gray-200'}`}>
+      <div className={`h-2 rounded-full ${color}`} style={{ width: `${max > 0 ? Math.min(100, (value / max) * 100) : 0}%` }} />
+    </div>
+  </div>
+);
+
+const accuracyColor = (accuracy) => accuracy >= 80 ? 'bg-green-500' : accuracy >= 60 ? 'bg-yellow-500' : 'bg-red-500';
+
+// Evolución de la nota (%) en los últimos intentos
+const ScoreTrendChart = ({ trend, darkMode }) => {
+  const points = trend.slice(-20);
+  const width = 600;
+  const height = 160;
+  const padding = 24;
+  const stepX = points.length > 1 ? (width - padding * 2) / (points.length - 1) : 0;
+  const coords = points.map((point, index) => ({
+    ...point,
+    x: points.length > 1 ? padding + index * stepX : width / 2,
+    y: height - padding - (point.percent / 100) * (height - padding * 2)
+  }));
+
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} className="w-full h-40" role="img" aria-label="Evolución de las notas">
+      {[0, 50, 100].map(level => {
+        const y = height - padding - (level / 100) * (height - padding * 2);
+        return (
+          <g key={level}>
+            <line x1={padding} x2={width - padding} y1={y} y2={y} stroke={darkMode ? '#374151' : '#e5e7eb'} strokeDasharray="4 4" />
+            <text x={0} y={y + 4} fontSize="10" fill="#9ca3af">{level}%</text>
+          </g>
+        );
+      })}
+      {coords.length > 1 && (
+        <polyline
+          points={coords.map(point => `${point.x},${point.y}`).join(' ')}
+          fill="none"
+          stroke="#3b82f6"
+          strokeWidth="2"
+        />
+      )}
+      {coords.map(point => (
+        <circle key={point.id} cx={point.x} cy={point.y} r="4" fill="#3b82f6">
+          <title>{`${point.title} · ${new Date(point.completedAt).toLocaleDateString('es-ES')} · ${point.percent}%`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+const ProgressDashboard = ({ currentSessionId, onClose, darkMode }) => {
+  const [records, setRecords] = useState(null);
+  const [scope, setScope] = useState(currentSessionId ? 'session' : 'all');
+
+  useEffect(() => {
+    listExamResults()
+      .then(setRecords)
+      .catch(error => {
+        console.error("Error al cargar el historial de exámenes:", error);
+        setRecords([]);
+      });
+  }, []);
+
+  const stats = useMemo(() => {
+    if (!records) return null;
+    const scoped = scope === 'session' ? records.filter(record => record.sessionId === currentSessionId) : records;
+    return computeStats(scoped);
+  }, [records, scope, currentSessionId]);
+
+  const panel = `p-4 rounded-lg border ${darkMode ? 'border-gray-700 bg-gray-800' : 'border-gray-200 bg-gray-50'}`;
+  const maxMaterialTime = stats?.materials[0]?.timeMs || 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-70 backdrop-blur-sm animate-fade-in">
+      <div className={`w-full max-w-4xl max-h-[90vh] overflow-y-auto rounded-xl shadow-2xl p-6 ${darkMode ? 'bg-gray-900 text-white' : 'bg-white text-gray-800'}`}>
+        <div className="flex justify-between items-center border-b pb-4 mb-6">
+          <h2 className="text-2xl font-extrabold text-blue-500">Mi Progreso</h2>
+          <div className="flex items-center gap-3">
+            {currentSessionId && (
+              <select
+                value={scope}
+                onChange={(e) => setScope(e.target.value)}
+                className={`p-2 rounded-lg border text-sm ${darkMode ? 'bg-gray-800 border-gray-600' : 'bg-white border-gray-300'}`}
+              >
+                <option value="session">Esta sesión</option>
+                <option value="all">Todas las sesiones</option>
+              </select>
+            )}
+            <button onClick={onClose} className="text-gray-400 hover:text-blue-500 transition-colors">
+              <X className="w-6 h-6" />
+            </button>
+          </div>
+        </div>
+
+        {!stats ? (
+          <p className="text-center text-gray-400 py-12">Cargando estadísticas...</p>
+        ) : stats.attemptCount === 0 ? (
+          <p className="text-center text-gray-400 py-12">
+            Aún no hay exámenes completados{scope === 'session' ? ' en esta sesión' : ''}. Haz uno para empezar a ver tu progreso.
+          </p>
+        ) : (
+          <div className="space-y-6">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {[
+                { label: 'Exámenes', value: stats.attemptCount },
+                { label: 'Preguntas', value: stats.questionCount },
+                { label: 'Nota media', value: `${stats.averagePercent}%` },
+                { label: 'Tiempo de examen', value: formatDuration(stats.totalTimeMs) }
+              ].map(item => (
+                <div key={item.label} className={`${panel} text-center`}>
+                  <p className="text-2xl font-bold">{item.value}</p>
+                  <p className="text-sm text-gray-400">{item.label}</p>
+                </div>
+              ))}
+            </div>
+
+            <div className={panel}>
+              <h3 className="font-bold mb-2">Evolución de la nota</h3>
+              <ScoreTrendChart trend={stats.trend} darkMode={darkMode} />
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div className={panel}>
+                <h3 className="font-bold mb-3">Temas más débiles</h3>
+                {stats.weakestTopics.length === 0 ? (
+                  <p className="text-sm text-gray-400">Todavía no hay temas con fallos repetidos.</p>
+                ) : (
+                  <div className="space-y-3">
+                    {stats.weakestTopics.map(topic => (
+                      <StatBar
+                        key={topic.key}
+                        label={topic.key}
+                        value={topic.accuracy}
+                        detail={`${topic.accuracy}% · ${topic.answered} preguntas`}
+                        color={accuracyColor(topic.accuracy)}
+                        darkMode={darkMode}
+                      />
+                    ))}
+                  </div>
+                )}
+              </div>
+
+              <div className={panel}>
+                <h3 className="font-bold mb-3">Acierto por dificultad</h3>
+                <div className="space-y-3">
+                  {stats.difficulties.map(difficulty => (
+                    <StatBar
+                      key={difficulty.id}
+                      label={difficulty.label}
+                      value={difficulty.accuracy ?? 0}
+                      detail={difficulty.accuracy === null ? 'sin datos' : `${difficulty.accuracy}% · ${difficulty.answered} preguntas`}
+                      color={accuracyColor(difficulty.accuracy ?? 0)}
+                      darkMode={darkMode}
+                    />
+                  ))}
+                </div>
+              </div>
+            </div>
+
+            <div className={panel}>
+              <h3 className="font-bold mb-3">Tiempo de estudio por material</h3>
+              <div className="space-y-3">
+                {stats.materials.map(material => (
+                  <StatBar
+                    key={material.name}
+                    label={material.name}
+                    value={material.timeMs}
+                    max={maxMaterialTime}
+                    detail={`${formatDuration(material.timeMs)} · ${material.attempts} ${material.attempts === 1 ? 'examen' : 'exámenes'}`}
+                    darkMode={darkMode}
+                  />
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const SessionSidebar = ({ sessions, currentSessionId, onResume, onRename, onDuplicate, onDelete, onExport, onImport, onNew, onClose, disabled, darkMode }) => {
+  const [editingId, setEditingId] = useState(null);
+  const [draftName, setDraftName] = useState('');
+  const importInputRef = useRef(null);
+
+  const startRename = (session) => {
+    setEditingId(session.id);
+    setDraftName(session.name);
+  };
+
+  const commitRename = () => {
+    if (draftName.trim()) {
+      onRename(editingId, draftName.trim());
+    }
+    setEditingId(null);
+  };
+
+  const iconButton = `p-1 rounded transition-colors ${darkMode ? 'hover:bg-gray-600' : 'hover:bg-gray-200'}`;
+
+  return (
+    <div className="fixed inset-0 z-50 flex animate-fade-in" onClick={onClose}>
+      <aside
+        className={`w-80 max-w-[85vw] h-full overflow-y-auto shadow-2xl p-5 animate-slide-in-left ${darkMode ? 'bg-gray-800 text-gray-100' : 'bg-white text-gray-800'}`}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-4">
+          <h2 className="text-lg font-bold">Mis sesiones de estudio</h2>
+          <button onClick={onClose} className="text-gray-400 hover:text-blue-500 transition-colors">
+            <X className="w-5 h-5" />
+          </button>
         </div>
-      </div>
+
+        <button
+          onClick={onNew}
+          disabled={disabled}
+          className="w-full mb-4 py-2 px-4 rounded-lg bg-blue-600 hover:bg-blue-700 text-white font-medium flex items-center justify-center gap-2 disabled:bg-gray-400 disabled:cursor-not-allowed"
+        >
+          <Plus className="w-4 h-4" />
+          Nueva sesión
+        </button>
+
+        <button
+          onClick={() => importInputRef.current?.click()}
+          disabled={disabled}
+          className={`w-full mb-4 py-2 px-4 rounded-lg border-2 border-dashed font-medium flex items-center justify-center gap-2 disabled:opacity-50 disabled:cursor-not-allowed ${darkMode ? 'border-gray-600 hover:bg-gray-700' : 'border-gray-300 hover:bg-gray-100'}`}
+        >
+          <FileUp className="w-4 h-4" />
+          Importar sesión (.json)
+        </button>
+        <input
+          ref={importInputRef}
+          type="file"
+          accept=".json,application/json"
+          className="hidden"
+          onChange={(e) => {
+            const file = e.target.files?.[0];
+            e.target.value = '';
+            if (file) onImport(file);
+          }}
+        />
+
+        {sessions.length === 0 ? (
+          <p className={`text-sm ${darkMode ? 'text-gray-400' : 'text-gray-600'}`}>
+            Aún no hay sesiones guardadas. Sube un material para empezar una.
+          </p>
+        ) : (
+          <ul className="space-y-2">
+            {sessions.map(session => (
+              <li
+                key={session.id}
+                className={`p-3 rounded-lg border-2 ${session.id === currentSessionId ? 'border-blue-500' : darkMode ? 'border-gray-700' : 'border-gray-200'}`}
+              >
+                {editingId === session.id ? (
+                  <input
+                    autoFocus
+                    value={draftName}
+                    onChange={(e) => setDraftName(e.target.value)}
+                    onBlur={commitRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') commitRename();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    className={`w-full p-1 rounded border text-sm ${darkMode ? 'bg-gray-700 border-gray-600' : 'bg-white border-gray-300'}`}
+                  />
+                ) : (
+                  <button
+                    onClick={() => onResume(session.id)}
+                    disabled={disabled || session.id === currentSessionId}
+                    className="w-full text-left disabled:cursor-default"
+                  >
+                    <p className="font-medium truncate">{session.name}</p>
+                    <p className="text-xs text-gray-500 truncate">
+                      {session.materialNames.join(', ') || 'Sin material'} · {new Date(session.updatedAt).toLocaleDateString()}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      {session.messageCount} mensajes · {session.examCount} exámenes
+                    </p>
+                  </button>
+                )}
+
+                <div className="flex justify-end gap-1 mt-2 text-gray-500">
+                  <button onClick={() => startRename(session)} className={iconButton} title="Renombrar">
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => onDuplicate(session.id)} className={iconButton} title="Duplicar">
+                    <Copy className="w-4 h-4" />
+                  </button>
+                  <button onClick={() => onExport(session.id)} className={iconButton} title="Exportar (.json)">
+                    <Download className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (window.confirm(`¿Eliminar la sesión "${session.name}"? Esta acción no se puede deshacer.`)) {
+                        onDelete(session.id);
+                      }
+                    }}
+                    disabled={disabled && session.id === currentSessionId}
+                    className={`${iconButton} hover:text-red-500`}
+                    title="Eliminar"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </aside>
     </div>
   );
 };
@@ -548,7 +2284,9 @@ const ExamModal = ({ challenge, onClose, onSubmit, darkMode }) => {
 
 export default function App() {
   const [chatHistory, setChatHistory] = useState([]);
-  const [fileData, setFileData] = useState(null);
+  // Biblioteca de materiales de la sesión y los elegidos para estudiar
+  const [materials, setMaterials] = useState([]);
+  const [selectedMaterialIds, setSelectedMaterialIds] = useState([]);
   const [isGenerating, setIsGenerating] = useState(false);
   const [userInput, setUserInput] = useState('');
   const [currentChallenge, setCurrentChallenge] = useState(null);
@@ -556,8 +2294,43 @@ export default function App() {
     return localStorage.getItem('darkMode') === 'true';
   });
   const [toast, setToast] = useState(null);
+  // Imágenes cuyo texto OCR está pendiente de revisión, en orden de subida
+  const [pendingOcrReviews, setPendingOcrReviews] = useState([]);
+  // Avance de las tareas por secciones: { current, total, label }
+  const [progress, setProgress] = useState(null);
+  // Reintento programado tras un error transitorio: { error, attempt, maxRetries, retryAt }
+  const [retryNotice, setRetryNotice] = useState(null);
+  // Índices de búsqueda por id de material
+  const [materialIndexes, setMaterialIndexes] = useState({});
+  const [activeSource, setActiveSource] = useState(null);
+  // Sesión abierta ({ id, name, createdAt }) y resumen de todas las guardadas
+  const [currentSession, setCurrentSession] = useState(null);
+  const [sessions, setSessions] = useState([]);
+  const [examAttempts, setExamAttempts] = useState([]);
+  const [showSessions, setShowSessions] = useState(false);
+  const [showExamSetup, setShowExamSetup] = useState(false);
+  const [showFlashcards, setShowFlashcards] = useState(false);
+  const [dueFlashcards, setDueFlashcards] = useState(0);
+  const [showProgress, setShowProgress] = useState(false);
+  // Modos de estudio personalizados y el que espera tema/nivel para empezar
+  const [studyTemplates, setStudyTemplates] = useState(loadTemplates);
+  const [showTemplateEditor, setShowTemplateEditor] = useState(false);
+  const [templateToRun, setTemplateToRun] = useState(null);
+  // Mapa conceptual abierto junto al chat
+  const [conceptMap, setConceptMap] = useState(null);
+
+  const selectedMaterials = useMemo(
+    () => materials.filter(material => selectedMaterialIds.includes(material.id)),
+    [materials, selectedMaterialIds]
+  );
+  // Material sobre el que trabajan los modos de estudio y el chat
+  const activeMaterial = useMemo(() => combineMaterials(selectedMaterials), [selectedMaterials]);
 
   const chatContainerRef = useRef(null);
+  // Resumen de los turnos antiguos que ya no caben en el contexto del modelo
+  const memoryRef = useRef({ summary: '', summarizedCount: 0 });
+  // Permite cancelar la petición en curso con el botón "Detener"
+  const abortControllerRef = useRef(null);
 
   useEffect(() => {
     if (darkMode) {
@@ -578,96 +2351,635 @@ export default function App() {
     setToast({ message, type });
   };
 
-  const handleFileLoad = useCallback((data) => {
-    if (data.error) {
-      showToast(data.error, 'error');
+  useEffect(() => subscribeToRetries(setRetryNotice), []);
+
+  // Examen abierto desde un archivo o un enlace: no depende del material cargado
+  const openImportedExam = useCallback((exam, origin) => {
+    setCurrentChallenge({ ...exam, id: crypto.randomUUID(), materials: [] });
+    setChatHistory(prev => [...prev, {
+      role: 'model',
+      meta: true,
+      text: `📥 He abierto el examen **${exam.title}** (${exam.questions.length} preguntas) desde ${origin}.`
+    }]);
+  }, []);
+
+  // Un enlace con #examen=... abre el examen compartido y limpia la dirección
+  useEffect(() => {
+    const openSharedExam = () => {
+      const { hash, pathname, search } = window.location;
+      if (!hash.startsWith(EXAM_LINK_PREFIX)) return;
+
+      window.history.replaceState(null, '', `${pathname}${search}`);
+      readExamLink(hash)
+        .then(exam => openImportedExam(exam, 'un enlace compartido'))
+        .catch(error => setToast({ message: error.message, type: 'error' }));
+    };
+
+    openSharedExam();
+    window.addEventListener('hashchange', openSharedExam);
+    return () => window.removeEventListener('hashchange', openSharedExam);
+  }, [openImportedExam]);
+
+  const refreshSessions = useCallback(() => {
+    listSessions()
+      .then(setSessions)
+      .catch(error => console.error("Error al cargar las sesiones:", error));
+  }, []);
+
+  useEffect(() => {
+    refreshSessions();
+  }, [refreshSessions]);
+
+  const refreshDueCount = useCallback(() => {
+    getDueFlashcards()
+      .then(cards => setDueFlashcards(cards.length))
+      .catch(error => console.error("Error al cargar las tarjetas:", error));
+  }, []);
+
+  useEffect(() => {
+    refreshDueCount();
+  }, [refreshDueCount]);
+
+  useEffect(() => {
+    pruneResponseCache().catch(error => console.error("Error al limpiar la caché de respuestas:", error));
+  }, []);
+
+  // Guardado automático de la sesión abierta
+  useEffect(() => {
+    if (!currentSession) return;
+
+    const timer = setTimeout(() => {
+      saveSession({
+        ...currentSession,
+        materials,
+        selectedMaterialIds,
+        chatHistory: chatHistory.filter(message => !message.streaming),
+        memory: memoryRef.current,
+        examAttempts
+      })
+        .then(refreshSessions)
+        .catch(error => console.error("Error al guardar la sesión:", error));
+    }, 800);
+
+    return () => clearTimeout(timer);
+  }, [currentSession, materials, selectedMaterialIds, chatHistory, examAttempts, refreshSessions]);
+
+  const loadIndexFor = (material) => {
+    loadMaterialIndex(material)
+      .then(index => setMaterialIndexes(prev => ({ ...prev, [material.id]: index })))
+      .catch(error => console.error("Error al indexar el material:", error));
+  };
+
+  const clearWorkspace = () => {
+    setCurrentSession(null);
+    setMaterials([]);
+    setSelectedMaterialIds([]);
+    setMaterialIndexes({});
+    setChatHistory([]);
+    setExamAttempts([]);
+    setCurrentChallenge(null);
+    setConceptMap(null);
+    memoryRef.current = { summary: '', summarizedCount: 0 };
+  };
+
+  const handleResumeSession = async (id) => {
+    try {
+      const session = await getSession(id);
+      if (!session) throw new Error("La sesión ya no existe.");
+
+      setCurrentSession({ id: session.id, name: session.name, createdAt: session.createdAt });
+      setMaterials(session.materials);
+      setSelectedMaterialIds(session.selectedMaterialIds);
+      setMaterialIndexes({});
+      session.materials.forEach(loadIndexFor);
+      setChatHistory(session.chatHistory);
+      setExamAttempts(session.examAttempts);
+      setCurrentChallenge(null);
+      setConceptMap(null);
+      memoryRef.current = session.memory;
+      setShowSessions(false);
+      showToast(`Sesión "${session.name}" retomada`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleRenameSession = async (id, name) => {
+    // La sesión abierta se renombra en memoria y se guarda con el autoguardado
+    if (id === currentSession?.id) {
+      setCurrentSession(prev => ({ ...prev, name }));
       return;
     }
+    try {
+      await renameSession(id, name);
+      refreshSessions();
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
 
-    setFileData(data);
-    setChatHistory([
-      { role: 'user', text: `[Archivo Cargado: ${data.name} (${(data.size / 1024).toFixed(2)} KB)]` },
-      { role: 'model', text: `✅ ¡Material cargado con éxito!\n\nArchivo: **${data.name}**\nTamaño: ${(data.size / 1024).toFixed(2)} KB\n\nAhora puedes:\n- 📝 Obtener un resumen\n- 🎯 Ver los puntos clave\n- 📊 Generar un examen\n- 💡 Pedir una explicación con analogías\n\n¿Qué te gustaría hacer?` }
-    ]);
-    setCurrentChallenge(null);
-    showToast('Archivo cargado exitosamente', 'success');
-  }, []);
+  const handleDuplicateSession = async (id) => {
+    try {
+      const copy = await duplicateSession(id);
+      refreshSessions();
+      showToast(`Creada "${copy.name}"`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
 
-  const processChat = useCallback(async (prompt, systemInstruction, responseMimeType = 'text/plain', responseSchema = null) => {
+  const handleDeleteSession = async (id) => {
+    try {
+      const isOpen = id === currentSession?.id;
+      if (isOpen) {
+        clearWorkspace();
+      }
+      await deleteSession(id, { openSessionId: currentSession?.id, openMaterials: isOpen ? [] : materials });
+      refreshSessions();
+      showToast('Sesión eliminada', 'info');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  // =====================================
+  // EXPORTACIÓN
+  // =====================================
+
+  const runExport = async (task) => {
+    try {
+      await task();
+    } catch (error) {
+      console.error("Error al exportar:", error);
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleExportSession = (id) => runExport(async () => {
+    // La sesión abierta se exporta tal como está, sin esperar al autoguardado
+    const session = id === currentSession?.id
+      ? {
+        ...currentSession,
+        materials,
+        selectedMaterialIds,
+        chatHistory: chatHistory.filter(message => !message.streaming),
+        memory: memoryRef.current,
+        examAttempts
+      }
+      : await getSession(id);
+    if (!session) throw new Error("La sesión ya no existe.");
+
+    downloadFile(toFileName(session.name, 'json'), serializeSession(session), 'application/json');
+  });
+
+  const handleImportSession = (file) => runExport(async () => {
+    const session = await importSession(await file.text());
+    refreshSessions();
+    showToast(`Sesión "${session.name}" importada`, 'success');
+  });
+
+  // kind: 'svg' o 'png'
+  const handleExportConceptMap = (kind) => runExport(async () => {
+    const layout = layoutConceptMap(conceptMap);
+    const svg = conceptMapToSvg(conceptMap, layout);
+    const fileName = `Mapa conceptual - ${conceptMap.title}`;
+
+    if (kind === 'png') {
+      downloadFile(toFileName(fileName, 'png'), await svgToPng(svg, layout.bounds), 'image/png');
+    } else {
+      downloadFile(toFileName(fileName, 'svg'), svg, 'image/svg+xml');
+    }
+  });
+
+  const handleExportMessage = (message, format) => runExport(async () => {
+    const title = currentSession?.name || 'Tutor de estudio';
+    const fileName = `${title} - ${messageTitle(message, 'Respuesta')}`;
+
+    if (format === 'pdf') {
+      await printElement(<PrintableMessage message={message} title={title} />, fileName);
+    } else {
+      downloadFile(toFileName(fileName, 'md'), messageToMarkdown(message, title), 'text/markdown;charset=utf-8');
+    }
+  });
+
+  // kind: 'sheet' (examen en blanco), 'key' (solucionario), 'markdown' (ambos),
+  // 'json' (archivo para volver a abrirlo) o 'link' (enlace para compartir)
+  const handleExportExam = (kind) => runExport(async () => {
+    const exam = currentChallenge;
+    if (kind === 'json') {
+      downloadFile(toFileName(exam.title, 'json'), serializeExam(exam), 'application/json');
+    } else if (kind === 'link') {
+      const link = await createExamLink(exam, `${window.location.origin}${window.location.pathname}`);
+      try {
+        await navigator.clipboard.writeText(link);
+        showToast('Enlace copiado. Quien lo abra hará el mismo examen.', 'success');
+      } catch {
+        // Sin permiso para el portapapeles se muestra para copiarlo a mano
+        window.prompt('Copia el enlace del examen:', link);
+      }
+    } else if (kind === 'sheet') {
+      await printElement(<PrintableExam exam={exam} />, exam.title);
+    } else if (kind === 'key') {
+      await printElement(<PrintableExam exam={exam} answerKey />, `Solucionario - ${exam.title}`);
+    } else {
+      downloadFile(toFileName(exam.title, 'md'), examToMarkdown(exam), 'text/markdown;charset=utf-8');
+    }
+  });
+
+  const handleExportFlashcards = () => runExport(async () => {
+    const cards = await listFlashcards();
+    if (cards.length === 0) throw new Error("Todavía no tienes tarjetas para exportar.");
+
+    downloadFile('Tarjetas de estudio (Anki).csv', flashcardsToAnkiCsv(cards), 'text/csv;charset=utf-8');
+    showToast(`${cards.length} tarjetas exportadas. Impórtalas en Anki con Archivo > Importar.`, 'success');
+  });
+
+  const describeMaterial = (material) =>
+    `**${material.name}** (${(material.size / 1024).toFixed(2)} KB` +
+    `${material.pages ? `, ${material.pages.length} páginas` : ''}` +
+    `${material.ocr ? `, OCR ${material.ocr.confidence}%` : ''})`;
+
+  // Añade materiales a la sesión abierta (o abre una nueva) y los selecciona
+  const addMaterials = (newMaterials) => {
+    if (newMaterials.length === 0) return;
+
+    if (!currentSession) {
+      const { id, name, createdAt } = createSession(sessionNameFromFile(newMaterials[0].name));
+      setCurrentSession({ id, name, createdAt });
+      setExamAttempts([]);
+      setCurrentChallenge(null);
+      memoryRef.current = { summary: '', summarizedCount: 0 };
+      setChatHistory([
+        { role: 'user', meta: true, text: `[Material cargado: ${newMaterials.map(m => m.name).join(', ')}]` },
+        { role: 'model', meta: true, text: `✅ ¡Material cargado con éxito!\n\n${newMaterials.map(m => `- ${describeMaterial(m)}`).join('\n')}\n\nAhora puedes:\n- 📝 Obtener un resumen\n- 🎯 Ver los puntos clave\n- 📊 Generar un examen\n- 💡 Pedir una explicación con analogías\n\nPuedes añadir más materiales y elegir cuáles usar en el panel de materiales. ¿Qué te gustaría hacer?` }
+      ]);
+    } else {
+      setChatHistory(prev => [...prev, {
+        role: 'model',
+        meta: true,
+        text: `📎 Material añadido a la sesión:\n${newMaterials.map(m => `- ${describeMaterial(m)}`).join('\n')}`
+      }]);
+    }
+
+    setMaterials(prev => [...prev, ...newMaterials]);
+    setSelectedMaterialIds(prev => [...prev, ...newMaterials.map(m => m.id)]);
+    newMaterials.forEach(loadIndexFor);
+    showToast(newMaterials.length > 1 ? `${newMaterials.length} archivos cargados` : 'Archivo cargado exitosamente', 'success');
+  };
+
+  const handleFilesLoad = (results) => {
+    const errors = results.filter(result => result.error);
+    if (errors.length > 0) {
+      showToast(errors.map(result => result.error).join(' · '), 'error');
+    }
+
+    const exams = results.filter(result => result.exam);
+    if (exams.length > 0) {
+      openImportedExam(exams[0].exam, `el archivo ${exams[0].name}`);
+      if (exams.length > 1) showToast('Solo se puede abrir un examen a la vez', 'info');
+    }
+
+    const loaded = results.filter(result => !result.error && !result.exam);
+    if (loaded.length === 0) return;
+    // El texto reconocido por OCR se revisa antes de usarlo en cualquier modo
+    setPendingOcrReviews(prev => [...prev, ...loaded.filter(material => material.ocr)]);
+    addMaterials(loaded.filter(material => !material.ocr));
+  };
+
+  const handleRemoveMaterial = (id) => {
+    const removed = materials.find(material => material.id === id);
+    if (removed) {
+      releaseMaterialIndexes([removed], {
+        openSessionId: currentSession?.id,
+        openMaterials: materials.filter(material => material.id !== id)
+      }).catch(error => console.error("No se pudo borrar el índice del material:", error));
+    }
+    setMaterials(prev => prev.filter(material => material.id !== id));
+    setSelectedMaterialIds(prev => prev.filter(materialId => materialId !== id));
+    setMaterialIndexes(prev => {
+      const { [id]: _removed, ...rest } = prev;
+      return rest;
+    });
+  };
+
+  const toggleMaterialSelection = (id) => {
+    setSelectedMaterialIds(prev => prev.includes(id)
+      ? prev.filter(materialId => materialId !== id)
+      : [...prev, id]);
+  };
+
+  // withMemory: pregunta libre con historial; si no, prompt es la tarea de un modo de estudio
+  // que se aplica a todo el material, sección a sección si es largo.
+  // onJsonResult recibe las respuestas JSON y devuelve el texto para el chat;
+  // validate añade reglas propias a la revisión del esquema (ver api/index.js).
+  // cache reutiliza la respuesta guardada para el mismo material y prompt, y
+  // refresh la vuelve a pedir (ver api/cachedTask.js).
+  const processChat = useCallback(async (prompt, systemInstruction, responseMimeType = 'text/plain', responseSchema = null, { withMemory = false, displayText = prompt, passages = [], onJsonResult, validate, maxOutputTokens, cache = false, refresh = false } = {}) => {
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
     setIsGenerating(true);
-    setChatHistory(prev => [...prev, { role: 'user', text: prompt }]);
+    setChatHistory(prev => [...prev, { role: 'user', text: displayText }]);
+
+    const sources = passages.length > 0 ? { sources: passages } : {};
+    let streamedText = '';
+
+    // Cada trozo recibido actualiza (o crea) el mensaje en curso del tutor
+    const onToken = (token) => {
+      streamedText += token;
+      setChatHistory(prev => {
+        const last = prev[prev.length - 1];
+        if (last?.streaming) {
+          return [...prev.slice(0, -1), { ...last, text: streamedText }];
+        }
+        return [...prev, { role: 'model', text: streamedText, streaming: true, ...sources }];
+      });
+    };
+
+    const withoutStreaming = (messages) => messages.filter(message => !message.streaming);
 
     try {
-      const aiResponse = await generateContent(
-        prompt,
-        fileData,
-        systemInstruction,
-        responseMimeType,
-        responseSchema
-      );
+      let aiResponse;
+      let cachedAt;
+
+      if (withMemory) {
+        const result = await generateWithMemory({
+          chatHistory,
+          question: prompt,
+          systemInstruction,
+          material: activeMaterial,
+          passages,
+          memory: memoryRef.current,
+          signal: controller.signal,
+          onToken
+        });
+        memoryRef.current = result.memory;
+        aiResponse = result.text;
+      } else {
+        const key = await buildTaskKey({ material: activeMaterial, task: prompt, systemInstruction, responseMimeType, responseSchema });
+        const result = await runCachedTask({
+          key,
+          cache,
+          refresh,
+          signal: controller.signal,
+          onToken,
+          run: (signal, onSharedToken) => runChunkedTask({
+            material: activeMaterial,
+            task: prompt,
+            systemInstruction,
+            responseMimeType,
+            responseSchema,
+            validate,
+            maxOutputTokens,
+            onProgress: setProgress,
+            signal,
+            onToken: onSharedToken
+          })
+        });
+        aiResponse = result.value;
+        cachedAt = result.cachedAt;
+      }
 
       if (responseMimeType === 'application/json' && typeof aiResponse === 'object') {
-        setCurrentChallenge(aiResponse);
-        setChatHistory(prev => [...prev, { 
-          role: 'model', 
-          text: `📝 He generado un examen de **${aiResponse.questions.length} preguntas** sobre el material.\n\n🎯 Completa el examen en la ventana que acaba de aparecer. ¡Buena suerte!` 
-        }]);
+        // onJsonResult devuelve el texto del mensaje o el mensaje con más datos ({ text, conceptMap })
+        const result = await onJsonResult(aiResponse);
+        setChatHistory(prev => [...withoutStreaming(prev), { role: 'model', ...(typeof result === 'string' ? { text: result } : result) }]);
       } else {
-        setChatHistory(prev => [...prev, { role: 'model', text: aiResponse }]);
+        setChatHistory(prev => [...withoutStreaming(prev), {
+          role: 'model',
+          text: aiResponse,
+          ...sources,
+          // Lo necesario para el botón "Regenerar" de las respuestas guardadas
+          ...(cache ? { request: { prompt, displayText } } : {}),
+          ...(cachedAt ? { cachedAt } : {})
+        }]);
       }
     } catch (error) {
+      if (isAbortError(error)) {
+        showToast('Generación detenida', 'info');
+        setChatHistory(prev => [...withoutStreaming(prev), streamedText
+          ? { role: 'model', text: `${streamedText}\n\n*(Respuesta detenida)*`, ...sources }
+          : { role: 'model', meta: true, text: '⏹️ Generación detenida.' }
+        ]);
+        return;
+      }
+
       console.error("Error:", error);
-      showToast(error.message, 'error');
-      setChatHistory(prev => [...prev, { 
+      // Los errores de la API indican qué puede hacer el usuario para resolverlos
+      const hint = error instanceof ApiError ? error.hint : '';
+      showToast(hint ? `${error.message} ${hint}` : error.message, 'error');
+      setChatHistory(prev => [...withoutStreaming(prev), { 
         role: 'model', 
-        text: `❌ Lo siento, ocurrió un error:\n\n${error.message}\n\nPor favor, intenta de nuevo.` 
+        meta: true,
+        text: `❌ Lo siento, ocurrió un error:\n\n${error.message}\n\n${hint ? `💡 ${hint}` : 'Por favor, intenta de nuevo.'}` 
       }]);
     } finally {
+      abortControllerRef.current = null;
       setIsGenerating(false);
+      setProgress(null);
     }
-  }, [fileData]);
+  }, [activeMaterial, chatHistory]);
 
-const handleSelectOption = (optionType, promptInstruction, isQuiz = false) => {
-  if (!fileData) {
-    showToast('Primero carga un archivo', 'error');
+const handleSelectOption = (optionId, optionType, promptInstruction) => {
+  if (!activeMaterial) {
+    showToast(materials.length > 0 ? 'Selecciona al menos un material' : 'Primero carga un archivo', 'error');
     return;
   }
 
-  const fileDescription = fileData.text.length > 1000 
-    ? fileData.text.substring(0, 1000) + '...' 
-    : fileData.text;
-
-  const systemPrompt = `Eres un tutor de estudio experto y didáctico. Analiza el material proporcionado y cumple con la solicitud de manera clara, estructurada y educativa.`;
-
-  const userPrompt = `Material de estudio:\n\n"${fileDescription}"\n\nTarea: ${promptInstruction}`;
-
-  if (optionType === 'Generar Examen') {
-    processChat(userPrompt, systemPrompt, 'application/json', quizSchema);
+  if (optionId === 'quiz') {
+    setShowExamSetup(true);
+  } else if (optionId === 'conceptMap') {
+    processChat(promptInstruction, STUDY_SYSTEM_PROMPT, 'application/json', conceptMapSchema, {
+      displayText: optionType,
+      validate: validateConceptMapResponse,
+      onJsonResult: handleConceptMapGenerated
+    });
   } else {
-    processChat(userPrompt, systemPrompt);
+    processChat(promptInstruction, STUDY_SYSTEM_PROMPT, 'application/json', flashcardSchema, {
+      displayText: optionType,
+      onJsonResult: handleFlashcardsGenerated
+    });
   }
 };
 
+  // values: { tema, nivel } elegidos en TemplateRunModal
+  const runTemplate = (template, values = {}) => {
+    const prompt = renderTemplate(template, { ...values, material: activeMaterial.name });
+    const displayText = templateDisplayText(template, values);
+
+    if (template.output === 'json') {
+      processChat(prompt, STUDY_SYSTEM_PROMPT, 'application/json', null, {
+        displayText,
+        onJsonResult: (value) => `\`\`\`json\n${JSON.stringify(value, null, 2)}\n\`\`\``
+      });
+    } else {
+      processChat(prompt, STUDY_SYSTEM_PROMPT, 'text/plain', null, { displayText, cache: true });
+    }
+  };
+
+  const handleRunTemplate = (template) => {
+    if (!activeMaterial) {
+      showToast(materials.length > 0 ? 'Selecciona al menos un material' : 'Primero carga un archivo', 'error');
+      return;
+    }
+    if (needsRunOptions(template)) {
+      setTemplateToRun(template);
+    } else {
+      runTemplate(template);
+    }
+  };
+
+  const handleSaveTemplates = (templates) => {
+    try {
+      setStudyTemplates(saveTemplates(templates));
+      setShowTemplateEditor(false);
+      showToast('Modos de estudio guardados', 'success');
+    } catch (error) {
+      console.error("Error al guardar los modos de estudio:", error);
+      showToast("No se pudieron guardar los modos de estudio en este navegador.", 'error');
+    }
+  };
+
+  // Pide de nuevo una respuesta que venía de la caché y sustituye la guardada
+  const handleRegenerate = (message) => {
+    if (!activeMaterial) {
+      showToast(materials.length > 0 ? 'Selecciona al menos un material' : 'Primero carga un archivo', 'error');
+      return;
+    }
+    processChat(message.request.prompt, STUDY_SYSTEM_PROMPT, 'text/plain', null, {
+      displayText: message.request.displayText,
+      cache: true,
+      refresh: true
+    });
+  };
+
+  const handleStartExam = (config) => {
+    setShowExamSetup(false);
+
+    const typeLabels = config.types.map(type => QUESTION_TYPES[type].label).join(', ');
+
+    processChat(buildExamPrompt(config), STUDY_SYSTEM_PROMPT, 'application/json', buildExamSchema(config), {
+      displayText: `Generar Examen (${config.count} preguntas · ${DIFFICULTY_OPTIONS[config.difficulty]} · ${typeLabels}${config.timer ? ` · simulacro de ${config.timer.totalMinutes} min` : ''})`,
+      validate: validateExamResponse,
+      maxOutputTokens: examOutputTokens(config.count),
+      onJsonResult: (response) => handleExamGenerated(response, { config })
+    });
+  };
+
+  // Nuevo examen sobre las preguntas falladas; cada ronda parte de la anterior
+  const handlePracticeMistakes = (attempt) => {
+    // Los exámenes importados no traen material: hay que tener alguno seleccionado
+    if (!activeMaterial) {
+      showToast(materials.length > 0 ? 'Selecciona al menos un material' : 'Primero carga un archivo', 'error');
+      return;
+    }
+
+    const round = (currentChallenge.practice?.round || 0) + 1;
+    const config = buildFollowUpConfig(attempt, currentChallenge.config);
+
+    // El examen corregido sigue abierto hasta que llega la nueva ronda
+    // (handleExamGenerated lo sustituye): si falla o se detiene, no se pierde
+    processChat(buildFollowUpPrompt(attempt, config, round), STUDY_SYSTEM_PROMPT, 'application/json', buildExamSchema(config), {
+      displayText: `Practicar mis errores (ronda ${round})`,
+      validate: validateExamResponse,
+      maxOutputTokens: examOutputTokens(config.count),
+      onJsonResult: (response) => handleExamGenerated(response, { config, practice: { round } })
+    });
+  };
+
+  // Las respuestas JSON de processChat pasan por uno de estos manejadores,
+  // que devuelven el mensaje a mostrar en el chat
+  // config: la configuración usada; practice: { round } en las rondas de práctica de errores
+  const handleExamGenerated = (response, { config, practice } = {}) => {
+    const { exam, discarded } = prepareExam(response);
+    // Las preguntas que no cumplían el esquema ya se quitaron al validar la respuesta
+    const missing = Math.max(discarded, (config?.count || 0) - exam.questions.length);
+    const discardedNote = missing > 0
+      ? `\n\n⚠️ Se descartaron ${missing} preguntas mal formadas.`
+      : '';
+    setCurrentChallenge({
+      ...exam,
+      // Cada examen tiene su id para que ExamModal empiece de cero al sustituirlo
+      id: crypto.randomUUID(),
+      config,
+      ...(practice ? { practice } : {}),
+      materials: selectedMaterials.map(material => ({ id: material.id, name: material.name }))
+    });
+
+    if (practice) {
+      return `🔁 He preparado la **ronda ${practice.round}** de práctica: ${exam.questions.length} preguntas nuevas sobre los conceptos que fallaste.\n\n🎯 Objetivo: llegar al ${MASTERY_THRESHOLD}% de aciertos.${discardedNote}`;
+    }
+    return `📝 He generado un examen de **${exam.questions.length} preguntas** sobre el material.\n\n🎯 Completa el examen en la ventana que acaba de aparecer. ¡Buena suerte!${discardedNote}`;
+  };
+
+  const flashcardMeta = () => ({ sessionId: currentSession?.id, deckName: currentSession?.name });
+
+  const handleFlashcardsGenerated = async (response) => {
+    const cards = cardsFromResponse(response, flashcardMeta());
+    const added = await addFlashcards(cards);
+    refreshDueCount();
+    const skipped = cards.length - added;
+    return `🗂️ He creado **${added} tarjetas de memoria** a partir del material${skipped > 0 ? ` (${skipped} ya existían)` : ''}.\n\nRepásalas cada día desde el botón de tarjetas de la cabecera.`;
+  };
+
+  const handleConceptMapGenerated = (response) => {
+    const map = prepareConceptMap(response);
+    setConceptMap(map);
+    return {
+      text: `🗺️ He creado el mapa conceptual **${map.title}** con ${map.nodes.length} conceptos y ${map.edges.length} relaciones.\n\nHaz clic en un concepto del mapa para que te lo explique.`,
+      conceptMap: map
+    };
+  };
+
+  const handleExplainConcept = (node) => {
+    if (!activeMaterial) {
+      showToast(materials.length > 0 ? 'Selecciona al menos un material' : 'Primero carga un archivo', 'error');
+      return;
+    }
+    processChat(conceptPrompt(conceptMap, node), STUDY_SYSTEM_PROMPT, 'text/plain', null, {
+      displayText: `🗺️ Explícame «${node.label}»`,
+      cache: true
+    });
+  };
+
+  const handleStopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
   const handleSendChat = (e) => {
     e.preventDefault();
     if (!userInput.trim() || isGenerating) return;
 
-    const systemPrompt = "Eres un tutor de estudio útil y conciso. Responde las preguntas de manera clara y educativa.";
-    const promptWithContext = fileData 
-      ? `[Contexto: Archivo "${fileData.name}" cargado]\n\nPregunta: ${userInput}`
-      : userInput;
+    const systemPrompt = `Eres un tutor de estudio útil y conciso. Responde las preguntas de manera clara y educativa, teniendo en cuenta lo que ya se ha hablado en la conversación. ${MATH_FORMAT_INSTRUCTION}`;
+
+    // Pasajes del material más relacionados con la pregunta, para citarlos
+    const passages = searchMaterials(materialIndexes, selectedMaterials, userInput, 5);
 
-    processChat(promptWithContext, systemPrompt);
+    processChat(userInput, systemPrompt, 'text/plain', null, { withMemory: true, passages });
     setUserInput('');
   };
 
-  const handleExamSubmit = (resultText) => {
+  const handleExamSubmit = (resultText, attempt) => {
+    setExamAttempts(prev => [...prev, attempt]);
     setChatHistory(prev => [
       ...prev,
       { role: 'user', text: "He completado el examen." },
       { role: 'model', text: resultText }
     ]);
-    setCurrentChallenge(null);
+    // El modal sigue abierto con la corrección hasta que el alumno lo cierre
+
+    saveExamResult(buildAttemptRecord(attempt, { sessionId: currentSession?.id, sessionName: currentSession?.name }))
+      .catch(error => console.error("Error al guardar el resultado del examen:", error));
+
+    // Cada pregunta fallada se convierte en tarjeta de repaso
+    const missed = attempt.questions.filter((q, qIndex) => !attempt.results[qIndex].correct);
+    if (missed.length > 0) {
+      addFlashcards(missed.map(q => cardFromQuestion(q, flashcardMeta())))
+        .then(added => {
+          refreshDueCount();
+          if (added > 0) showToast(`${added} preguntas falladas añadidas a tus tarjetas de repaso`, 'info');
+        })
+        .catch(error => console.error("Error al guardar las tarjetas:", error));
+    }
   };
 
   return (
@@ -682,7 +2994,12 @@ const handleSelectOption = (optionType, promptInstruction, isQuiz = false) => {
           to { transform: translateX(0); }
         }
         .animate-fade-in { animation: fade-in 0.3s ease-out; }
+        @keyframes slide-in-left {
+          from { transform: translateX(-100%); }
+          to { transform: translateX(0); }
+        }
         .animate-slide-in { animation: slide-in 0.3s ease-out; }
+        .animate-slide-in-left { animation: slide-in-left 0.3s ease-out; }
       `}</style>
 
       {toast && (
@@ -695,9 +3012,43 @@ const handleSelectOption = (optionType, promptInstruction, isQuiz = false) => {
 
       <header className={`sticky top-0 z-40 px-6 py-4 shadow-md ${darkMode ? 'bg-gray-800 border-b border-gray-700' : 'bg-white'}`}>
         <div className="container mx-auto flex justify-between items-center">
-          <h1 className="text-2xl font-extrabold text-blue-500 flex items-center gap-2">
-            📚 Gemini Study Tutor
-          </h1>
+          <div className="flex items-center gap-3">
+            <button
+              onClick={() => setShowSessions(true)}
+              className={`p-2 rounded-lg transition-colors ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+              title="Mis sesiones"
+            >
+              <History className="w-5 h-5" />
+            </button>
+            <button
+              onClick={() => setShowFlashcards(true)}
+              className={`relative p-2 rounded-lg transition-colors ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+              title="Repasar tarjetas"
+            >
+              <Layers className="w-5 h-5" />
+              {dueFlashcards > 0 && (
+                <span className="absolute -top-1 -right-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-red-500 text-white text-xs font-bold flex items-center justify-center">
+                  {dueFlashcards}
+                </span>
+              )}
+            </button>
+            <button
+              onClick={() => setShowProgress(true)}
+              className={`p-2 rounded-lg transition-colors ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
+              title="Mi progreso"
+            >
+              <TrendingUp className="w-5 h-5" />
+            </button>
+            <h1 className="text-2xl font-extrabold text-blue-500 flex items-center gap-2">
+              📚 Study Tutor
+              <span className="text-xs font-medium text-gray-400">{ACTIVE_PROVIDER.name} · {ACTIVE_PROVIDER.model}</span>
+            </h1>
+            {currentSession && (
+              <span className={`hidden md:inline text-sm truncate max-w-xs ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
+                · {currentSession.name}
+              </span>
+            )}
+          </div>
           <button 
             onClick={() => setDarkMode(!darkMode)}
             className={`p-2 rounded-lg transition-colors ${darkMode ? 'hover:bg-gray-700' : 'hover:bg-gray-100'}`}
@@ -710,28 +3061,72 @@ const handleSelectOption = (optionType, promptInstruction, isQuiz = false) => {
 
       <main className="flex-grow container mx-auto p-4 md:p-6 grid grid-cols-1 lg:grid-cols-3 gap-6">
         <div className="lg:col-span-1 space-y-6">
-          <FileUploader onFileLoad={handleFileLoad} isGenerating={isGenerating} darkMode={darkMode} />
+          <FileUploader onFilesLoad={handleFilesLoad} isGenerating={isGenerating} darkMode={darkMode} />
           <StudyOptions 
+            templates={studyTemplates}
             onSelectOption={handleSelectOption}
+            onRunTemplate={handleRunTemplate}
+            onCustomize={() => setShowTemplateEditor(true)}
             isGenerating={isGenerating}
-            materialLoaded={!!fileData}
+            materialLoaded={selectedMaterials.length > 0}
             darkMode={darkMode}
           />
+
+          {conceptMap && (
+            <ConceptMapPanel
+              key={conceptMap.id}
+              map={conceptMap}
+              onExplain={handleExplainConcept}
+              onExport={handleExportConceptMap}
+              onClose={() => setConceptMap(null)}
+              disabled={isGenerating}
+              darkMode={darkMode}
+            />
+          )}
           
-          {fileData && (
+          {materials.length > 0 && (
             <div className={`p-4 rounded-xl shadow-lg ${darkMode ? 'bg-gray-800' : 'bg-white'}`}>
-              <h3 className="text-sm font-bold mb-2 text-gray-500 dark:text-gray-400">MATERIAL ACTIVO</h3>
-              <p className="text-sm font-medium text-blue-500 truncate mb-1">{fileData.name}</p>
-              <p className="text-xs text-gray-500">{(fileData.size / 1024).toFixed(2)} KB</p>
+              <h3 className="text-sm font-bold mb-1 text-gray-500 dark:text-gray-400">MATERIALES ({materials.length})</h3>
+              <p className="text-xs text-gray-500 mb-3">
+                Los modos de estudio y el chat usan los seleccionados ({selectedMaterials.length} de {materials.length}).
+              </p>
+              <ul className="space-y-2">
+                {materials.map(material => (
+                  <li key={material.id} className="flex items-start gap-2">
+                    <input
+                      type="checkbox"
+                      checked={selectedMaterialIds.includes(material.id)}
+                      onChange={() => toggleMaterialSelection(material.id)}
+                      disabled={isGenerating}
+                      className="mt-1"
+                      id={`material-${material.id}`}
+                    />
+                    <label htmlFor={`material-${material.id}`} className="flex-1 min-w-0 cursor-pointer">
+                      <p className="text-sm font-medium text-blue-500 truncate">{material.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {(material.size / 1024).toFixed(2)} KB{material.pages ? ` · ${material.pages.length} págs.` : ''}{material.ocr ? ' · OCR' : ''}
+                      </p>
+                    </label>
+                    <button
+                      onClick={() => handleRemoveMaterial(material.id)}
+                      disabled={isGenerating}
+                      className="text-gray-400 hover:text-red-500 transition-colors disabled:cursor-not-allowed"
+                      title="Quitar de la sesión"
+                    >
+                      <X className="w-4 h-4" />
+                    </button>
+                  </li>
+                ))}
+              </ul>
               <button
                 onClick={() => {
-                  setFileData(null);
-                  setChatHistory([]);
-                  showToast('Material eliminado', 'info');
+                  clearWorkspace();
+                  showToast('Sesión cerrada. Puedes retomarla desde "Mis sesiones".', 'info');
                 }}
+                disabled={isGenerating}
                 className="mt-3 text-xs text-red-500 hover:text-red-600 font-medium"
               >
-                Quitar Material
+                Cerrar sesión
               </button>
             </div>
           )}
@@ -773,11 +3168,19 @@ const handleSelectOption = (optionType, promptInstruction, isQuiz = false) => {
               </div>
             ) : (
               chatHistory.map((msg, index) => (
-                <ChatMessage key={index} message={msg} darkMode={darkMode} />
+                <ChatMessage
+                  key={index}
+                  message={msg}
+                  darkMode={darkMode}
+                  onShowSource={setActiveSource}
+                  onExport={handleExportMessage}
+                  onRegenerate={isGenerating ? undefined : handleRegenerate}
+                  onShowConceptMap={setConceptMap}
+                />
               ))
             )}
 
-            {isGenerating && (
+            {isGenerating && !chatHistory[chatHistory.length - 1]?.streaming && (
               <div className="flex flex-col mb-4 max-w-[85%] self-start animate-fade-in">
                 <div className={`text-xs mb-1 ${darkMode ? 'text-gray-400' : 'text-gray-500'}`}>
                   🤖 Tutor IA
@@ -785,10 +3188,15 @@ const handleSelectOption = (optionType, promptInstruction, isQuiz = false) => {
                 <div className={`p-4 rounded-2xl ${darkMode ? 'bg-gray-700' : 'bg-white border border-gray-200'} shadow-md`}>
                   <div className="flex items-center space-x-3">
                     <div className="animate-spin rounded-full h-5 w-5 border-b-2 border-blue-500"></div>
-                    <span>Generando respuesta...</span>
+                    {retryNotice
+                      ? <RetryCountdown retry={retryNotice} />
+                      : <span>{progress?.total > 1 ? `${progress.label}...` : 'Generando respuesta...'}</span>}
                   </div>
                   <div className="mt-3 w-full bg-blue-200 dark:bg-blue-900 rounded-full h-1">
-                    <div className="bg-blue-600 h-1 rounded-full animate-pulse" style={{ width: '70%' }}></div>
+                    <div
+                      className={`bg-blue-600 h-1 rounded-full transition-all duration-500 ${progress?.total > 1 ? '' : 'animate-pulse'}`}
+                      style={{ width: progress?.total > 1 ? `${Math.round((progress.current / progress.total) * 100)}%` : '100%' }}
+                    ></div>
                   </div>
                 </div>
               </div>
@@ -800,27 +3208,131 @@ const handleSelectOption = (optionType, promptInstruction, isQuiz = false) => {
               type="text"
               value={userInput}
               onChange={(e) => setUserInput(e.target.value)}
-              placeholder={fileData ? "Pregunta sobre el material..." : "Sube un archivo primero..."}
+              placeholder={selectedMaterials.length > 0 ? "Pregunta sobre el material..." : materials.length > 0 ? "Selecciona algún material..." : "Sube un archivo primero..."}
               className={`flex-grow p-3 rounded-xl border-2 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-all ${darkMode ? 'bg-gray-700 border-gray-600 text-white' : 'bg-white border-gray-300'}`}
               disabled={isGenerating}
             />
-            <button
-              type="submit"
-              disabled={isGenerating || !userInput.trim()}
-              className="px-6 py-3 bg-blue-600 text-white rounded-xl font-semibold hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
-            >
-              <Send className="w-4 h-4" />
-              Enviar
-            </button>
+            {isGenerating ? (
+              <button
+                type="button"
+                onClick={handleStopGeneration}
+                className="px-6 py-3 bg-red-600 text-white rounded-xl font-semibold hover:bg-red-700 transition-colors flex items-center gap-2"
+              >
+                <Square className="w-4 h-4" />
+                Detener
+              </button>
+            ) : (
+              <button
+                type="submit"
+                disabled={!userInput.trim()}
+                className="px-6 py-3 bg-blue-600 text-white rounded-xl font-semibold hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors flex items-center gap-2"
+              >
+                <Send className="w-4 h-4" />
+                Enviar
+              </button>
+            )}
           </form>
         </div>
       </main>
 
+      {showProgress && (
+        <ProgressDashboard
+          currentSessionId={currentSession?.id}
+          onClose={() => setShowProgress(false)}
+          darkMode={darkMode}
+        />
+      )}
+
+      {showFlashcards && (
+        <FlashcardReview
+          onClose={() => setShowFlashcards(false)}
+          onChange={refreshDueCount}
+          onExport={handleExportFlashcards}
+          darkMode={darkMode}
+        />
+      )}
+
+      {showSessions && (
+        <SessionSidebar
+          sessions={sessions}
+          currentSessionId={currentSession?.id}
+          onResume={handleResumeSession}
+          onRename={handleRenameSession}
+          onDuplicate={handleDuplicateSession}
+          onDelete={handleDeleteSession}
+          onExport={handleExportSession}
+          onImport={handleImportSession}
+          onNew={() => {
+            clearWorkspace();
+            setShowSessions(false);
+          }}
+          onClose={() => setShowSessions(false)}
+          disabled={isGenerating}
+          darkMode={darkMode}
+        />
+      )}
+
+      {activeSource && (
+        <SourceExcerptModal
+          source={activeSource}
+          materialName={activeSource.materialName}
+          onClose={() => setActiveSource(null)}
+          darkMode={darkMode}
+        />
+      )}
+
+      {pendingOcrReviews.length > 0 && (
+        <OcrReviewModal
+          key={pendingOcrReviews[0].id}
+          fileData={pendingOcrReviews[0]}
+          onConfirm={(text) => {
+            const [reviewed, ...rest] = pendingOcrReviews;
+            setPendingOcrReviews(rest);
+            addMaterials([{ ...reviewed, text, ocr: { ...reviewed.ocr, reviewed: true } }]);
+          }}
+          onCancel={() => setPendingOcrReviews(prev => prev.slice(1))}
+          darkMode={darkMode}
+        />
+      )}
+
+      {showTemplateEditor && (
+        <TemplateEditorModal
+          templates={studyTemplates}
+          onSave={handleSaveTemplates}
+          onClose={() => setShowTemplateEditor(false)}
+          darkMode={darkMode}
+        />
+      )}
+
+      {templateToRun && (
+        <TemplateRunModal
+          template={templateToRun}
+          onRun={(values) => {
+            setTemplateToRun(null);
+            runTemplate(templateToRun, values);
+          }}
+          onClose={() => setTemplateToRun(null)}
+          darkMode={darkMode}
+        />
+      )}
+
+      {showExamSetup && (
+        <ExamSetupModal
+          onStart={handleStartExam}
+          onClose={() => setShowExamSetup(false)}
+          darkMode={darkMode}
+        />
+      )}
+
       {currentChallenge && (
         <ExamModal
+          key={currentChallenge.id}
           challenge={currentChallenge}
           onClose={() => setCurrentChallenge(null)}
           onSubmit={handleExamSubmit}
+          onPractice={handlePracticeMistakes}
+          canPractice={!isGenerating && Boolean(activeMaterial)}
+          onExport={handleExportExam}
           darkMode={darkMode}
         />
       )}
@@ -0,0 +1,30 @@
+// =====================================
+// REGISTRO ESTRUCTURADO DE UN INTENTO
+// =====================================
+
+const DEFAULT_TOPIC = 'General';
+
+// attempt: lo que entrega ExamModal al terminar; context: { sessionId, sessionName }
+export const buildAttemptRecord = (attempt, { sessionId, sessionName }) => ({
+  id: crypto.randomUUID(),
+  sessionId: sessionId || null,
+  sessionName: sessionName || 'Sin sesión',
+  title: attempt.title,
+  startedAt: attempt.startedAt,
+  completedAt: attempt.completedAt,
+  durationMs: attempt.durationMs,
+  score: attempt.score,
+  total: attempt.total,
+  materials: attempt.materials || [],
+  practiceRound: attempt.practiceRound || null,
+  timed: Boolean(attempt.timed),
+  questions: attempt.questions.map((q, qIndex) => ({
+    question: q.question,
+    type: q.type || 'single',
+    topic: q.topic?.trim() || DEFAULT_TOPIC,
+    difficulty: q.difficulty || null,
+    score: attempt.results[qIndex].score,
+    correct: attempt.results[qIndex].correct,
+    timeMs: attempt.timeSpent?.[qIndex] || 0
+  }))
+});
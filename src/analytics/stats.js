@@ -0,0 +1,76 @@
+import { DIFFICULTIES } from '../exams/questionTypes.js';
+
+// =====================================
+// ESTADÍSTICAS DE PROGRESO
+// =====================================
+// Agrega los registros de examen (ver attempts.js) para el panel de progreso.
+// La precisión de un grupo es la media de las puntuaciones (0-1) de sus preguntas.
+
+// Temas con menos preguntas no cuentan para "temas más débiles"
+export const MIN_TOPIC_QUESTIONS = 2;
+
+const percent = (value) => Math.round(value * 100);
+
+const groupAccuracy = (questions, keyOf) => {
+  const groups = new Map();
+  questions.forEach(q => {
+    const key = keyOf(q);
+    if (!key) return;
+    const group = groups.get(key) || { key, answered: 0, score: 0, timeMs: 0 };
+    group.answered++;
+    group.score += q.score;
+    group.timeMs += q.timeMs;
+    groups.set(key, group);
+  });
+  return [...groups.values()].map(group => ({ ...group, accuracy: percent(group.score / group.answered) }));
+};
+
+export const computeStats = (records) => {
+  const questions = records.flatMap(record => record.questions);
+
+  const trend = records.map(record => ({
+    id: record.id,
+    title: record.title,
+    completedAt: record.completedAt,
+    percent: percent(record.score / record.total)
+  }));
+
+  const topics = groupAccuracy(questions, q => q.topic)
+    .sort((a, b) => a.accuracy - b.accuracy || b.answered - a.answered);
+
+  const difficulties = Object.entries(DIFFICULTIES).map(([id, label]) => {
+    const group = groupAccuracy(questions.filter(q => q.difficulty === id), () => id)[0];
+    return { id, label, answered: group?.answered || 0, accuracy: group ? group.accuracy : null };
+  });
+
+  // El tiempo de un examen con varios materiales se reparte a partes iguales
+  const materialTime = new Map();
+  records.forEach(record => {
+    const materials = record.materials.length > 0 ? record.materials : [{ id: 'sin-material', name: 'Sin material' }];
+    materials.forEach(material => {
+      const entry = materialTime.get(material.name) || { name: material.name, timeMs: 0, attempts: 0 };
+      entry.timeMs += (record.durationMs || 0) / materials.length;
+      entry.attempts++;
+      materialTime.set(material.name, entry);
+    });
+  });
+
+  return {
+    attemptCount: records.length,
+    questionCount: questions.length,
+    averagePercent: records.length ? percent(records.reduce((sum, r) => sum + r.score / r.total, 0) / records.length) : null,
+    totalTimeMs: records.reduce((sum, record) => sum + (record.durationMs || 0), 0),
+    trend,
+    topics,
+    weakestTopics: topics.filter(topic => topic.answered >= MIN_TOPIC_QUESTIONS && topic.accuracy < 100).slice(0, 5),
+    difficulties,
+    materials: [...materialTime.values()].sort((a, b) => b.timeMs - a.timeMs)
+  };
+};
+
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return `${Math.max(0, Math.round(ms / 1000))} s`;
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
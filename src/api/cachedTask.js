@@ -0,0 +1,96 @@
+import { getActiveProvider } from './index.js';
+import { createAbortError } from './http.js';
+import { hashText } from '../materials/hash.js';
+import { getCachedResponse, saveCachedResponse } from '../storage/responseCache.js';
+
+// =====================================
+// CACHÉ Y DEDUPLICACIÓN DE TAREAS
+// =====================================
+// Una tarea de estudio (resumen, puntos clave...) sobre el mismo material, con
+// el mismo prompt y el mismo modelo da la misma clave. Con cache se reutiliza
+// la respuesta guardada; y dos peticiones idénticas en curso comparten una
+// sola llamada al modelo.
+
+// Clave de contenido: huella del material más todo lo que cambia la respuesta
+export const buildTaskKey = async ({ material, task, systemInstruction, responseMimeType, responseSchema }) => {
+  const { name, model } = getActiveProvider();
+  const materialHash = await hashText(material.text);
+  return hashText(JSON.stringify([name, model, materialHash, task, systemInstruction, responseMimeType, responseSchema]));
+};
+
+// clave -> { promise, controller, waiters, tokens, listeners }
+const inFlight = new Map();
+
+// Se une a la petición en curso con la misma clave o lanza una nueva. La
+// llamada compartida solo se cancela cuando la cancelan todos los que esperan.
+// Los trozos de la respuesta llegan a todos los onToken: quien se une tarde
+// recibe primero lo ya generado, y quien cancela deja de recibirlos.
+const joinInFlight = (key, signal, onToken, run) => {
+  if (signal?.aborted) return Promise.reject(createAbortError());
+
+  let entry = inFlight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    const created = { controller, waiters: 0, tokens: [], listeners: new Set() };
+    created.promise = run(controller.signal, (token) => {
+      created.tokens.push(token);
+      created.listeners.forEach(listener => listener(token));
+    }).finally(() => {
+      if (inFlight.get(key) === created) inFlight.delete(key);
+    });
+    inFlight.set(key, created);
+    entry = created;
+  }
+  entry.waiters++;
+
+  // Un envoltorio propio por cada espera, aunque dos compartan la misma función
+  const listener = onToken && ((token) => onToken(token));
+  if (listener) {
+    entry.tokens.forEach(listener);
+    entry.listeners.add(listener);
+  }
+
+  const shared = entry;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      shared.listeners.delete(listener);
+      reject(createAbortError());
+      shared.waiters--;
+      if (shared.waiters === 0) {
+        if (inFlight.get(key) === shared) inFlight.delete(key);
+        shared.controller.abort();
+      }
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    shared.promise
+      .then(resolve, reject)
+      .finally(() => {
+        shared.listeners.delete(listener);
+        signal?.removeEventListener('abort', onAbort);
+      });
+  });
+};
+
+// run(signal, onToken) hace la llamada real; onToken recibe la respuesta en
+// streaming. cache: leer y guardar en la caché; refresh: ignorar lo guardado y
+// sustituirlo (botón "Regenerar"). Devuelve { value, cachedAt } (cachedAt solo
+// si venía de la caché).
+export const runCachedTask = async ({ key, cache = false, refresh = false, signal, onToken, run }) => {
+  if (cache && !refresh) {
+    try {
+      const cached = await getCachedResponse(key);
+      if (cached) return { value: cached.value, cachedAt: cached.createdAt };
+    } catch (error) {
+      // Sin IndexedDB se sigue sin caché
+      console.error("Error al leer la caché de respuestas:", error);
+    }
+  }
+
+  // "Regenerar" no se une a una petición normal en curso: quiere otra respuesta
+  const value = await joinInFlight(refresh ? `${key}:regenerar` : key, signal, onToken, run);
+
+  if (cache) {
+    saveCachedResponse(key, value).catch(error => console.error("Error al guardar en la caché de respuestas:", error));
+  }
+  return { value };
+};
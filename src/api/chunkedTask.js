@@ -0,0 +1,87 @@
+import { generateContent } from './index.js';
+import { estimateTokens } from './conversation.js';
+import { splitIntoChunks, describeChunkSource, CHUNK_TOKEN_BUDGET } from '../materials/chunking.js';
+
+// =====================================
+// PROCESAMIENTO POR SECCIONES (MAP-REDUCE)
+// =====================================
+
+// Máximo de notas que se combinan en una sola llamada de la fase "reduce"
+const REDUCE_TOKEN_BUDGET = 6000;
+
+const mapPrompt = (chunk, total, task) => {
+  const source = describeChunkSource(chunk);
+  return `Material de estudio (sección ${chunk.index + 1} de ${total}${source ? `, ${source}` : ''}):\n\n"""\n${chunk.text}\n"""\n\nTarea final que se hará con todo el material: ${task}\n\nExtrae de esta sección las notas necesarias para esa tarea: ideas principales, definiciones, datos, fórmulas y ejemplos relevantes${chunk.pages ? ', indicando la página' : ''}. No realices todavía la tarea completa.`;
+};
+
+const condensePrompt = (notes) =>
+  `Notas parciales de varias secciones de un material de estudio:\n\n${notes}\n\nCombínalas en unas únicas notas sin repetir información y sin perder ideas, datos ni referencias de página.`;
+
+const reducePrompt = (notes, task) =>
+  `Notas de todas las secciones del material de estudio:\n\n${notes}\n\nTarea: ${task}`;
+
+// Agrupa notas consecutivas en lotes que caben en el presupuesto
+const groupByBudget = (notes, budget) => {
+  const groups = [];
+  let current = [];
+  let tokens = 0;
+
+  notes.forEach(note => {
+    const cost = estimateTokens(note);
+    if (current.length > 0 && tokens + cost > budget) {
+      groups.push(current);
+      current = [];
+      tokens = 0;
+    }
+    current.push(note);
+    tokens += cost;
+  });
+
+  if (current.length > 0) groups.push(current);
+  return groups;
+};
+
+// Ejecuta la tarea sobre todo el material. Si cabe en una sección se hace en
+// una sola llamada; si no, se extraen notas de cada sección y luego se combinan.
+// onProgress({ current, total, label }) informa del avance; solo la respuesta
+// final se entrega en streaming a onToken, se revisa con validate y puede
+// usar hasta maxOutputTokens.
+export const runChunkedTask = async ({ material, task, systemInstruction, responseMimeType = 'text/plain', responseSchema = null, validate, maxOutputTokens, onProgress, signal, onToken }) => {
+  const chunks = splitIntoChunks(material.text, CHUNK_TOKEN_BUDGET);
+
+  if (chunks.length <= 1) {
+    onProgress?.({ current: 1, total: 1, label: 'Procesando material' });
+    const prompt = `Material de estudio:\n\n"""\n${material.text}\n"""\n\nTarea: ${task}`;
+    return generateContent(prompt, null, systemInstruction, responseMimeType, responseSchema, { signal, onToken, validate, maxOutputTokens });
+  }
+
+  // +1 por la fase final de combinación
+  const total = chunks.length + 1;
+  let notes = [];
+
+  for (const chunk of chunks) {
+    onProgress?.({ current: chunk.index + 1, total, label: `Procesando sección ${chunk.index + 1} de ${chunks.length}` });
+    const sectionNotes = await generateContent(mapPrompt(chunk, chunks.length, task), null, systemInstruction, 'text/plain', null, { signal });
+    const source = describeChunkSource(chunk);
+    notes.push(`### Sección ${chunk.index + 1}${source ? ` (${source})` : ''}\n${sectionNotes}`);
+  }
+
+  // Si las notas no caben juntas, se condensan por lotes hasta que quepan
+  while (notes.length > 1 && estimateTokens(notes.join('\n\n')) > REDUCE_TOKEN_BUDGET) {
+    const groups = groupByBudget(notes, REDUCE_TOKEN_BUDGET);
+    // Un lote por nota significa que ya no se puede reducir más agrupando
+    if (groups.length === notes.length) break;
+
+    onProgress?.({ current: chunks.length, total, label: `Condensando notas (${notes.length} bloques)` });
+    const condensed = [];
+    for (const group of groups) {
+      condensed.push(group.length === 1
+        ? group[0]
+        : await generateContent(condensePrompt(group.join('\n\n')), null, systemInstruction, 'text/plain', null, { signal }));
+    }
+    notes = condensed;
+  }
+
+  onProgress?.({ current: total, total, label: 'Combinando resultados' });
+  return generateContent(reducePrompt(notes.join('\n\n'), task), null, systemInstruction, responseMimeType, responseSchema, { signal, onToken, validate, maxOutputTokens });
+};
@@ -0,0 +1,124 @@
+import { generateChat } from './index.js';
+import { isAbortError } from './http.js';
+
+// =====================================
+// MEMORIA DE CONVERSACIÓN
+// =====================================
+
+// Presupuestos aproximados en tokens (1 token ≈ 4 caracteres)
+export const HISTORY_TOKEN_BUDGET = 3000;
+export const MATERIAL_TOKEN_BUDGET = 6000;
+
+export const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+// Convierte el historial del chat en turnos para el modelo. Los mensajes
+// marcados como "meta" (avisos de carga, errores) no forman parte del diálogo.
+export const toContextTurns = (chatHistory) => chatHistory
+  .filter(message => !message.meta)
+  .map(message => ({ role: message.role, text: message.text }));
+
+// Conserva los turnos más recientes que caben en el presupuesto.
+// Devuelve también cuántos turnos antiguos quedaron fuera.
+export const trimTurns = (turns, budget = HISTORY_TOKEN_BUDGET) => {
+  let used = 0;
+  let start = turns.length;
+
+  while (start > 0) {
+    const cost = estimateTokens(turns[start - 1].text);
+    // El último turno se envía siempre, aunque supere el presupuesto
+    if (used + cost > budget && start < turns.length) break;
+    used += cost;
+    start--;
+  }
+
+  // La conversación enviada debe empezar con un turno del usuario
+  while (start < turns.length - 1 && turns[start].role !== 'user') {
+    start++;
+  }
+
+  return { kept: turns.slice(start), droppedCount: start };
+};
+
+const truncateToTokens = (text, budget) => {
+  const maxChars = budget * 4;
+  return text.length > maxChars ? `${text.substring(0, maxChars)}\n[... material truncado ...]` : text;
+};
+
+// Añade a la instrucción de sistema el material cargado, los pasajes
+// recuperados para la pregunta y el resumen de la parte de la conversación
+// que ya no se envía literalmente.
+export const buildGroundedInstruction = (baseInstruction, { material, summary, passages = [] }) => {
+  let instruction = baseInstruction;
+
+  // Con pasajes recuperados, el material completo solo se añade si cabe entero
+  const includeMaterial = material?.text &&
+    (passages.length === 0 || estimateTokens(material.text) <= MATERIAL_TOKEN_BUDGET);
+
+  if (includeMaterial) {
+    instruction += `\n\nMaterial de estudio del alumno (archivo "${material.name}"). Basa tus respuestas en él y dilo claramente cuando algo no aparezca en el material:\n"""\n${truncateToTokens(material.text, MATERIAL_TOKEN_BUDGET)}\n"""`;
+  }
+
+  if (passages.length > 0) {
+    const excerpts = passages.map(passage => `(${passage.label})\n${passage.text}`).join('\n\n');
+    instruction += `\n\nPasajes del material más relevantes para la pregunta:\n"""\n${excerpts}\n"""\n\nApoya cada afirmación en estos pasajes y cítalos al final de la frase copiando su etiqueta exacta entre paréntesis, por ejemplo "(${passages[0].label})". No inventes citas; si los pasajes no contienen la respuesta, dilo.`;
+  }
+
+  if (summary) {
+    instruction += `\n\nResumen de la conversación anterior:\n${summary}`;
+  }
+
+  return instruction;
+};
+
+// Condensa los turnos que salen del presupuesto en un resumen acumulativo
+export const summarizeTurns = async (previousSummary, turns, signal) => {
+  const transcript = turns
+    .map(turn => `${turn.role === 'user' ? 'Alumno' : 'Tutor'}: ${turn.text}`)
+    .join('\n\n');
+
+  const prompt = `${previousSummary ? `Resumen previo:\n${previousSummary}\n\n` : ''}Nuevos turnos:\n${transcript}\n\nActualiza el resumen en un máximo de 10 viñetas. Conserva las dudas del alumno, los conceptos explicados y cualquier número de punto, pregunta o sección mencionado.`;
+
+  return generateChat(
+    [{ role: 'user', text: prompt }],
+    "Eres un asistente que resume conversaciones de tutoría de forma fiel y concisa.",
+    'text/plain',
+    null,
+    { signal }
+  );
+};
+
+// Envía la pregunta junto con el historial recortado y el material como contexto.
+// memory = { summary, summarizedCount } se devuelve actualizado para el siguiente turno.
+export const generateWithMemory = async ({ chatHistory, question, systemInstruction, material, passages, memory, signal, onToken }) => {
+  // Solo se adjunta el binario si no se pudo obtener su texto (textSource),
+  // que ya va en la instrucción de sistema
+  const attachments = material?.base64Data && !material.textSource ? [material] : [];
+  const turns = [
+    ...toContextTurns(chatHistory),
+    { role: 'user', text: question, files: attachments }
+  ];
+
+  const { kept, droppedCount } = trimTurns(turns);
+  let { summary, summarizedCount } = memory;
+
+  if (droppedCount > summarizedCount) {
+    try {
+      summary = await summarizeTurns(summary, turns.slice(summarizedCount, droppedCount), signal);
+      summarizedCount = droppedCount;
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      // Sin resumen nuevo se sigue respondiendo con el historial recortado
+      console.error("Error al resumir la conversación:", error);
+    }
+  }
+
+  const text = await generateChat(
+    kept,
+    buildGroundedInstruction(systemInstruction, { material, summary, passages }),
+    'text/plain',
+    null,
+    { signal, onToken }
+  );
+
+  return { text, memory: { summary, summarizedCount } };
+};
@@ -0,0 +1,177 @@
+// =====================================
+// UTILIDADES HTTP
+// =====================================
+
+export const createAbortError = () => new DOMException("Solicitud cancelada por el usuario.", 'AbortError');
+
+export const isAbortError = (error) => error?.name === 'AbortError';
+
+// Espera ms milisegundos; si la señal se cancela, rechaza con AbortError
+export const delay = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// =====================================
+// ERRORES DE LA API
+// =====================================
+// Cada error lleva su tipo: si tiene sentido reintentar y qué puede hacer el
+// usuario para resolverlo (hint), para mostrar avisos concretos.
+
+const ERROR_KINDS = {
+  auth: { retryable: false, hint: "Revisa la API key configurada (LLM_API_KEY en el .env del servidor)." },
+  badRequest: { retryable: false, hint: "Prueba con menos material o con otro archivo." },
+  quota: { retryable: false, hint: "Revisa el plan o la facturación de tu proveedor del modelo." },
+  rateLimit: { retryable: true, hint: "Espera un poco antes de volver a intentarlo." },
+  server: { retryable: true, hint: "El servicio del modelo tiene problemas; inténtalo más tarde." },
+  network: { retryable: true, hint: "Comprueba tu conexión o que el servidor proxy esté en marcha (npm run server)." }
+};
+
+export class ApiError extends Error {
+  // kind: una de las claves de ERROR_KINDS; retryAfterMs: espera pedida por el servidor
+  constructor(kind, message, { status, retryAfterMs } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return ERROR_KINDS[this.kind]?.retryable ?? false;
+  }
+
+  get hint() {
+    return ERROR_KINDS[this.kind]?.hint ?? '';
+  }
+}
+
+// "12s", "1m30.5s", "250ms" (cabeceras x-ratelimit-reset-* y RetryInfo de Gemini)
+const parseDuration = (text) => {
+  const parts = [...String(text).matchAll(/(\d+(?:\.\d+)?)(ms|h|m|s)/g)];
+  if (parts.length === 0) return undefined;
+  const factors = { h: 3600000, m: 60000, s: 1000, ms: 1 };
+  return Math.ceil(parts.reduce((total, [, value, unit]) => total + Number(value) * factors[unit], 0));
+};
+
+// Retry-After admite segundos o una fecha HTTP
+const parseRetryAfter = (value) => {
+  if (!value) return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+};
+
+const readRetryAfter = (response, errorBody) => {
+  const retryInfo = errorBody.error?.details?.find(detail => detail?.['@type']?.endsWith('RetryInfo'));
+  const candidates = [
+    Number(response.headers.get('retry-after-ms')) || undefined,
+    parseRetryAfter(response.headers.get('retry-after')),
+    retryInfo && parseDuration(retryInfo.retryDelay),
+    parseDuration(response.headers.get('x-ratelimit-reset-requests') || ''),
+    parseDuration(response.headers.get('x-ratelimit-reset-tokens') || '')
+  ];
+  return candidates.find(value => value !== undefined);
+};
+
+// "12 s", "2 min"
+export const formatWait = (ms) => {
+  const seconds = Math.ceil(ms / 1000);
+  return seconds < 60 ? `${seconds} s` : `${Math.ceil(seconds / 60)} min`;
+};
+
+const errorFromResponse = async (response) => {
+  const errorBody = await response.json().catch(() => ({}));
+  const detail = errorBody.error?.message;
+  const { status } = response;
+
+  if (status === 401 || status === 403) {
+    // El proxy ya manda el motivo en español; el de los proveedores va en inglés
+    const message = errorBody.error?.kind === 'auth' && detail ? detail : "API key inválida. Por favor, verifica tu configuración.";
+    return new ApiError('auth', message, { status });
+  }
+  if (status === 429) {
+    // OpenAI y Groq distinguen la cuota agotada (no se arregla esperando)
+    const code = errorBody.error?.code || errorBody.error?.type;
+    if (code === 'insufficient_quota' || errorBody.error?.kind === 'quota') {
+      return new ApiError('quota', "Se agotó la cuota de la API del modelo.", { status });
+    }
+    const retryAfterMs = readRetryAfter(response, errorBody);
+    return new ApiError('rateLimit', retryAfterMs !== undefined
+      ? `Límite de solicitudes excedido. Podrás volver a intentarlo en ${formatWait(retryAfterMs)}.`
+      : "Límite de solicitudes excedido. Intenta de nuevo en unos minutos.", { status, retryAfterMs });
+  }
+  if (status === 408 || status >= 500) {
+    return new ApiError('server', `Error HTTP ${status}: ${detail || 'El servicio del modelo no respondió correctamente'}`, {
+      status,
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after'))
+    });
+  }
+  if (status === 400) {
+    return new ApiError('badRequest', `Solicitud inválida: ${detail || 'Verifica el formato del archivo'}`, { status });
+  }
+  return new ApiError('badRequest', `Error HTTP ${status}: ${detail || 'Error desconocido'}`, { status });
+};
+
+// =====================================
+// REINTENTOS
+// =====================================
+
+// Si el servidor pide esperar más que esto, se avisa en lugar de esperar
+const MAX_RETRY_WAIT_MS = 60 * 1000;
+
+const retryListeners = new Set();
+
+// listener({ error, attempt, maxRetries, retryAt }) al programar un reintento
+// y listener(null) al terminar la espera. Devuelve la función para darse de baja.
+export const subscribeToRetries = (listener) => {
+  retryListeners.add(listener);
+  return () => retryListeners.delete(listener);
+};
+
+const notifyRetry = (retry) => retryListeners.forEach(listener => listener(retry));
+
+const backoffDelay = (attempt) => Math.pow(2, attempt - 1) * 1000 + Math.random() * 1000;
+
+// Reintenta solo los errores transitorios (red, 5xx, 429) y respeta la espera
+// que indique el servidor. Los errores definitivos se lanzan al primer intento.
+export const fetchWithRetries = async (url, options, maxRetries = 3) => {
+  for (let attempt = 1; ; attempt++) {
+    let error;
+    try {
+      const response = await fetch(url, options);
+      if (response.ok) return response;
+      error = await errorFromResponse(response);
+    } catch (fetchError) {
+      // Una cancelación no es un fallo: no se reintenta
+      if (isAbortError(fetchError) || options.signal?.aborted) throw fetchError;
+      error = new ApiError('network', "No se pudo conectar con el servicio del modelo.");
+    }
+
+    console.error(`Intento ${attempt} fallido:`, error);
+
+    const waitMs = error.retryAfterMs ?? backoffDelay(attempt);
+    if (!error.retryable || attempt >= maxRetries || waitMs > MAX_RETRY_WAIT_MS) throw error;
+
+    notifyRetry({ error, attempt, maxRetries, retryAt: Date.now() + waitMs });
+    try {
+      await delay(waitMs, options.signal);
+    } finally {
+      notifyRetry(null);
+    }
+  }
+};
@@ -0,0 +1,138 @@
+import { getProvider, getProviderConfig } from './providers/index.js';
+import { validateSchema, salvageBySchema, removeReportedItems } from './jsonSchema.js';
+import { MAX_OUTPUT_TOKENS } from './limits.js';
+
+// =====================================
+// API DEL MODELO
+// =====================================
+
+const providerConfig = getProviderConfig();
+
+export const getActiveProvider = () => ({
+  name: providerConfig.name,
+  model: providerConfig.model
+});
+
+// Intentos extra en los que se le devuelven al modelo los errores de su JSON
+const MAX_REPAIR_ATTEMPTS = 2;
+// Errores que se le envían en cada reintento
+const MAX_REPORTED_ERRORS = 10;
+
+// Devuelve { value } o { error } sin lanzar, para poder pedir una corrección
+const parseJsonResponse = (text) => {
+  // Limpiar posibles markdown code blocks
+  const cleanText = text.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+  try {
+    return { value: JSON.parse(cleanText) };
+  } catch (error) {
+    // Sin esquema nativo algunos modelos añaden texto antes o después del objeto
+    const start = cleanText.indexOf('{');
+    const end = cleanText.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+      try {
+        return { value: JSON.parse(cleanText.slice(start, end + 1)) };
+      } catch {
+        // Se informa del error original
+      }
+    }
+    return { error: `no es un JSON válido (${error.message})` };
+  }
+};
+
+const repairPrompt = (errors) => {
+  const listed = errors.slice(0, MAX_REPORTED_ERRORS).map(error => `- ${error}`).join('\n');
+  const more = errors.length > MAX_REPORTED_ERRORS ? `\n- ... y ${errors.length - MAX_REPORTED_ERRORS} errores más` : '';
+  return `Tu respuesta anterior no cumple el formato pedido:\n${listed}${more}\n\nCorrígela y devuelve de nuevo el JSON completo, sin texto adicional.`;
+};
+
+// Aprovecha lo válido de la última respuesta: quita los elementos que no
+// cumplen el esquema y después los que señala validate, hasta que no quede
+// ningún error. Devuelve null si no basta con descartar elementos o si una
+// lista obligatoria se queda vacía.
+const salvageJson = (value, schema, validate) => {
+  let { value: current, removed } = salvageBySchema(value, schema);
+
+  for (;;) {
+    if (validateSchema(current, schema, { lenient: true }).length > 0) return null;
+
+    const errors = validate ? validate(current) : [];
+    if (errors.length === 0) return { value: current, removed };
+
+    // Cada vuelta quita al menos un elemento, así que termina
+    const pruned = removeReportedItems(current, errors);
+    if (!pruned) return null;
+    current = pruned.value;
+    removed += pruned.removed;
+  }
+};
+
+// Revisa el JSON contra el esquema y, si se indica, con options.validate
+// (reglas propias que el esquema no expresa). Si algo falla, se le reenvían los
+// errores al modelo; agotados los intentos se aprovecha lo que sea válido.
+const generateValidJson = async (provider, request, { validate, repairAttempts = MAX_REPAIR_ATTEMPTS }) => {
+  let messages = request.messages;
+  let last = null;
+
+  for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+    const text = await provider.generate({ ...request, messages });
+    const { value, error } = parseJsonResponse(text);
+    const errors = error ? [`La respuesta ${error}`] : validateSchema(value, request.responseSchema);
+    // Las reglas propias solo se aplican a un valor que ya cumple el esquema
+    if (errors.length === 0 && validate) errors.push(...validate(value));
+
+    if (errors.length === 0) return value;
+
+    console.warn(`Respuesta JSON inválida (intento ${attempt + 1}):`, errors, "\nTexto recibido:", text);
+    if (!error) last = value;
+    messages = [...request.messages, { role: 'model', text }, { role: 'user', text: repairPrompt(errors) }];
+  }
+
+  const salvaged = last !== null && salvageJson(last, request.responseSchema, validate);
+  if (salvaged) {
+    if (salvaged.removed > 0) console.warn(`Se descartaron ${salvaged.removed} elementos que no cumplían el formato.`);
+    return salvaged.value;
+  }
+
+  throw new Error(last === null
+    ? "La IA no devolvió un JSON válido. Intenta de nuevo."
+    : "La IA devolvió una respuesta con un formato incorrecto. Intenta de nuevo.");
+};
+
+// messages: [{ role: 'user' | 'model', text, files? }] en orden cronológico.
+// options.signal cancela la petición; options.onToken recibe la respuesta
+// en streaming (solo para respuestas de texto). En las respuestas JSON,
+// options.validate(valor) recibe un valor que cumple el esquema y puede
+// devolver errores adicionales; el valor devuelto también los cumple (los
+// errores con ruta a un elemento, como "questions[3]: ...", permiten
+// descartarlo al aprovechar una respuesta). options.maxOutputTokens amplía el límite de
+// tokens de la respuesta (respuestas largas, como un examen de muchas preguntas).
+export const generateChat = async (messages, systemInstruction, responseMimeType = 'text/plain', responseSchema = null, { signal, onToken, validate, repairAttempts, maxOutputTokens } = {}) => {
+  const provider = getProvider(providerConfig);
+  const isJson = responseMimeType.startsWith("application/json");
+  const request = {
+    messages,
+    systemInstruction,
+    responseMimeType,
+    responseSchema,
+    config: maxOutputTokens
+      ? { ...providerConfig, maxOutputTokens: Math.min(Math.max(maxOutputTokens, providerConfig.maxOutputTokens), MAX_OUTPUT_TOKENS) }
+      : providerConfig,
+    signal
+  };
+
+  if (isJson) {
+    return generateValidJson(provider, request, { validate, repairAttempts });
+  }
+
+  return provider.generate({ ...request, onToken });
+};
+
+export const generateContent = (prompt, fileData, systemInstruction, responseMimeType = 'text/plain', responseSchema = null, options = {}) => {
+  const messages = [{
+    role: "user",
+    text: prompt,
+    files: fileData?.base64Data ? [fileData] : []
+  }];
+
+  return generateChat(messages, systemInstruction, responseMimeType, responseSchema, options);
+};
@@ -0,0 +1,163 @@
+// =====================================
+// VALIDACIÓN DE JSON SCHEMA
+// =====================================
+// Cubre el subconjunto de JSON Schema que usan los esquemas de la app (type,
+// properties, required, items, minItems, maxItems, enum, minimum, maximum y
+// anyOf). Los errores se describen con la ruta del campo para poder
+// enviárselos al modelo y que corrija su respuesta.
+
+const describeType = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'array': return Array.isArray(value);
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'string': return typeof value === 'string';
+    case 'boolean': return typeof value === 'boolean';
+    default: return true;
+  }
+};
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+// Con anyOf se informa de la alternativa que mejor encaja: la que declara el
+// mismo "type" (discriminador de las preguntas) o, si no, la de menos errores
+const closestAlternative = (value, alternatives, path, options) => {
+  const declared = alternatives.find(alternative => alternative.properties?.type?.enum?.includes(value?.type));
+  if (declared) return collectErrors(value, declared, path, options);
+
+  return alternatives
+    .map(alternative => collectErrors(value, alternative, path, options))
+    .sort((a, b) => a.length - b.length)[0];
+};
+
+// lenient: no comprueba minItems/maxItems (para validar lo que queda tras salvar),
+// pero una lista con minItems no puede quedar vacía
+const collectErrors = (value, schema, path, options) => {
+  if (!schema) return [];
+
+  if (schema.anyOf) {
+    if (schema.anyOf.some(alternative => collectErrors(value, alternative, path, options).length === 0)) return [];
+    return closestAlternative(value, schema.anyOf, path, options);
+  }
+
+  const where = path || 'la respuesta';
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [`${where}: se esperaba ${schema.type} y llegó ${describeType(value)}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${where}: debe ser uno de ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${where}: debe ser como mínimo ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${where}: debe ser como máximo ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (!options.lenient) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${where}: debe tener al menos ${schema.minItems} elementos (tiene ${value.length})`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${where}: debe tener como máximo ${schema.maxItems} elementos (tiene ${value.length})`);
+      }
+    } else if (schema.minItems > 0 && value.length === 0) {
+      errors.push(`${where}: no puede quedar vacía`);
+    }
+    value.forEach((item, index) => errors.push(...collectErrors(item, schema.items, joinPath(path, index), options)));
+  }
+
+  if (matchesType(value, 'object') && schema.properties) {
+    (schema.required || []).forEach(key => {
+      if (value[key] === undefined || value[key] === null) errors.push(`${joinPath(path, key)}: falta el campo`);
+    });
+    Object.entries(schema.properties).forEach(([key, child]) => {
+      if (value[key] !== undefined && value[key] !== null) {
+        errors.push(...collectErrors(value[key], child, joinPath(path, key), options));
+      }
+    });
+  }
+
+  return errors;
+};
+
+// Devuelve la lista de errores (vacía si el valor cumple el esquema)
+export const validateSchema = (value, schema, { lenient = false } = {}) =>
+  collectErrors(value, schema, '', { lenient });
+
+// Quita de cada lista los elementos que no cumplen su esquema y devuelve
+// { value, removed }. Sirve para aprovechar una respuesta parcialmente válida;
+// después hay que validarla con lenient, porque las listas pueden quedar cortas.
+export const salvageBySchema = (value, schema) => {
+  let removed = 0;
+
+  const salvage = (current, currentSchema) => {
+    if (!currentSchema || currentSchema.anyOf) return current;
+
+    if (Array.isArray(current) && currentSchema.type === 'array') {
+      return current
+        .map(item => salvage(item, currentSchema.items))
+        .filter(item => {
+          const valid = collectErrors(item, currentSchema.items, '', { lenient: false }).length === 0;
+          if (!valid) removed++;
+          return valid;
+        })
+        .slice(0, currentSchema.maxItems);
+    }
+
+    if (matchesType(current, 'object') && currentSchema.properties) {
+      return Object.fromEntries(Object.entries(current).map(([key, child]) =>
+        [key, currentSchema.properties[key] ? salvage(child, currentSchema.properties[key]) : child]));
+    }
+
+    return current;
+  };
+
+  return { value: salvage(value, schema), removed };
+};
+
+// Quita los elementos de lista que señalan los errores ("questions[3]: ...",
+// "edges[2].from: ..."; se quita el elemento de la primera lista de la ruta) y
+// devuelve { value, removed }. Devuelve null si algún error no señala un
+// elemento, porque entonces no basta con descartar.
+export const removeReportedItems = (value, errors) => {
+  const targets = new Map();
+
+  for (const error of errors) {
+    const match = /^([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)\[(\d+)\]/.exec(error);
+    if (!match) return null;
+
+    const [, path, index] = match;
+    const list = path.split('.').reduce((current, key) => (matchesType(current, 'object') ? current[key] : undefined), value);
+    if (!Array.isArray(list) || Number(index) >= list.length) return null;
+
+    if (!targets.has(path)) targets.set(path, new Set());
+    targets.get(path).add(Number(index));
+  }
+
+  const removeAt = (current, keys, indexes) => {
+    if (keys.length === 0) return current.filter((_, index) => !indexes.has(index));
+    const [key, ...rest] = keys;
+    return { ...current, [key]: removeAt(current[key], rest, indexes) };
+  };
+
+  let result = value;
+  let removed = 0;
+  targets.forEach((indexes, path) => {
+    result = removeAt(result, path.split('.'), indexes);
+    removed += indexes.size;
+  });
+  return { value: result, removed };
+};
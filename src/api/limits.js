@@ -0,0 +1,13 @@
+// =====================================
+// LÍMITES COMPARTIDOS (cliente y servidor)
+// =====================================
+
+export const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Un archivo en base64 ocupa ~4/3 de su tamaño original; se deja margen
+// para el prompt, la instrucción de sistema y el esquema JSON.
+export const MAX_REQUEST_BYTES = Math.ceil(MAX_FILE_SIZE * 4 / 3) + 512 * 1024;
+
+// Máximo de tokens de salida que se puede pedir en una respuesta: el límite de
+// gemini-2.0-flash, el más bajo de los modelos predeterminados
+export const MAX_OUTPUT_TOKENS = 8192;
@@ -0,0 +1,106 @@
+import { ApiError, fetchWithRetries } from '../http.js';
+import { readSseStream } from '../sse.js';
+
+// =====================================
+// ADAPTADOR GEMINI
+// =====================================
+
+// Gemini usa "user"/"model" y admite archivos binarios como inlineData,
+// así que los mensajes se traducen casi uno a uno.
+const toGeminiContents = (messages) => messages.map(message => {
+  const parts = [{ text: message.text }];
+
+  (message.files || []).forEach(file => {
+    parts.push({
+      inlineData: {
+        mimeType: file.mimeType,
+        data: file.base64Data
+      }
+    });
+  });
+
+  return { role: message.role === 'model' ? 'model' : 'user', parts };
+});
+
+const extractText = (result) => result.candidates?.[0]?.content?.parts
+  ?.map(part => part.text || '')
+  .join('') || '';
+
+const geminiProvider = {
+  id: 'gemini',
+  supportsSchema: true,
+  supportsFiles: true,
+
+  // Con onToken la respuesta llega por SSE y se va entregando trozo a trozo
+  async generate({ messages, systemInstruction, responseMimeType, responseSchema, config, signal, onToken }) {
+    if (!config.apiKey) {
+      throw new ApiError('auth', "API key no configurada. Agrega LLM_API_KEY al archivo .env del servidor proxy.");
+    }
+
+    const payload = {
+      contents: toGeminiContents(messages),
+      systemInstruction: { 
+        parts: [{ text: systemInstruction }] 
+      },
+      generationConfig: {
+        temperature: config.temperature,
+        topK: 40,
+        topP: 0.95,
+        maxOutputTokens: config.maxOutputTokens,
+      }
+    };
+
+    if (responseMimeType.startsWith("application/json")) {
+      payload.generationConfig.responseMimeType = "application/json";
+      if (responseSchema) {
+        payload.generationConfig.responseSchema = responseSchema;
+      }
+    }
+
+    const url = onToken
+      ? `${config.baseUrl}/models/${config.model}:streamGenerateContent?alt=sse`
+      : `${config.baseUrl}/models/${config.model}:generateContent`;
+    const options = {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-goog-api-key': config.apiKey
+      },
+      body: JSON.stringify(payload),
+      signal
+    };
+
+    const response = await fetchWithRetries(url, options, config.maxRetries);
+
+    if (onToken) {
+      let text = '';
+      await readSseStream(response, ({ data }) => {
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+          throw new ApiError('server', chunk.error.message || "Error durante la respuesta del modelo");
+        }
+        const piece = extractText(chunk);
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+      });
+
+      if (!text) {
+        throw new Error("No se recibió respuesta del modelo");
+      }
+      return text;
+    }
+
+    const result = await response.json();
+    const text = extractText(result);
+    
+    if (!text) {
+      throw new Error(result.error?.message || "No se recibió respuesta del modelo");
+    }
+    
+    return text;
+  }
+};
+
+export default geminiProvider;
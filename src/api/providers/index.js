@@ -0,0 +1,87 @@
+import geminiProvider from './gemini.js';
+import openAIProvider from './openai.js';
+import mockProvider from './mock.js';
+import proxyProvider from './proxy.js';
+
+// =====================================
+// REGISTRO DE PROVEEDORES
+// =====================================
+
+export const ADAPTERS = {
+  gemini: geminiProvider,
+  openai: openAIProvider,
+  mock: mockProvider,
+  proxy: proxyProvider
+};
+
+// Valores por defecto de cada backend soportado.
+// jsonMode: 'schema' (json_schema nativo), 'object' (json_object + esquema en el prompt) o 'none'
+export const PROVIDER_PRESETS = {
+  proxy: {
+    adapter: 'proxy',
+    baseUrl: '/api',
+    model: 'servidor'
+  },
+  gemini: {
+    adapter: 'gemini',
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    model: 'gemini-2.0-flash'
+  },
+  groq: {
+    adapter: 'openai',
+    baseUrl: 'https://api.groq.com/openai/v1',
+    model: 'llama-3.3-70b-versatile',
+    jsonMode: 'object'
+  },
+  openai: {
+    adapter: 'openai',
+    baseUrl: 'https://api.openai.com/v1',
+    model: 'gpt-4o-mini',
+    jsonMode: 'schema'
+  },
+  llamacpp: {
+    adapter: 'openai',
+    baseUrl: 'http://localhost:8080/v1',
+    model: 'local',
+    jsonMode: 'schema'
+  },
+  ollama: {
+    adapter: 'openai',
+    baseUrl: 'http://localhost:11434/v1',
+    model: 'llama3.1',
+    jsonMode: 'object'
+  },
+  mock: {
+    adapter: 'mock',
+    baseUrl: '',
+    model: 'mock'
+  }
+};
+
+export const DEFAULT_PROVIDER = 'proxy';
+
+// Lee la configuración desde las variables <prefix>PROVIDER, <prefix>MODEL...
+// (ver .env.example). El navegador usa VITE_LLM_* y el servidor proxy LLM_*.
+export const getProviderConfig = (env = import.meta.env, prefix = 'VITE_LLM_', fallbackProvider = DEFAULT_PROVIDER) => {
+  const name = env[`${prefix}PROVIDER`] || fallbackProvider;
+  const preset = PROVIDER_PRESETS[name];
+
+  if (!preset) {
+    throw new Error(`Proveedor desconocido: "${name}". Usa uno de: ${Object.keys(PROVIDER_PRESETS).join(', ')}.`);
+  }
+
+  return {
+    name,
+    adapter: preset.adapter,
+    baseUrl: (env[`${prefix}BASE_URL`] || preset.baseUrl).replace(/\/$/, ''),
+    model: env[`${prefix}MODEL`] || preset.model,
+    apiKey: env[`${prefix}API_KEY`] || "",
+    jsonMode: env[`${prefix}JSON_MODE`] || preset.jsonMode || 'none',
+    temperature: 0.7,
+    maxOutputTokens: 2048,
+    maxRetries: 3,
+    mockLatency: 600
+  };
+};
+
+export const getProvider = (config) => ADAPTERS[config.adapter];
@@ -0,0 +1,60 @@
+import { delay } from '../http.js';
+
+// =====================================
+// PROVEEDOR SIMULADO (desarrollo sin red)
+// =====================================
+
+// Construye un valor de ejemplo que cumple el esquema recibido.
+// Con anyOf se alterna entre las alternativas según la posición.
+const sampleFromSchema = (schema, path = 'valor', position = 0) => {
+  if (schema?.anyOf) {
+    return sampleFromSchema(schema.anyOf[position % schema.anyOf.length], path);
+  }
+
+  switch (schema?.type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, child]) => [key, sampleFromSchema(child, key)])
+      );
+    case 'array': {
+      const count = schema.minItems ?? 1;
+      return Array.from({ length: count }, (_, i) => sampleFromSchema(schema.items, `${path} ${i + 1}`, i));
+    }
+    case 'integer':
+    case 'number':
+      return schema.minimum ?? 0;
+    case 'boolean':
+      return true;
+    default:
+      return schema?.enum?.[0] ?? `Ejemplo de ${path}`;
+  }
+};
+
+const mockProvider = {
+  id: 'mock',
+  supportsSchema: true,
+  supportsFiles: true,
+
+  async generate({ messages, responseMimeType, responseSchema, config, signal, onToken }) {
+    await delay(config.mockLatency, signal);
+
+    if (responseMimeType.startsWith("application/json")) {
+      return JSON.stringify(sampleFromSchema(responseSchema || { type: 'object' }));
+    }
+
+    const lastMessage = messages[messages.length - 1]?.text || '';
+    const text = `**Respuesta simulada**\n\nEste es el proveedor de prueba. Recibí ${messages.length} mensaje(s); el último tenía ${lastMessage.length} caracteres.`;
+
+    if (onToken) {
+      // Simula la llegada de la respuesta palabra a palabra
+      for (const piece of text.match(/\S+\s*/g)) {
+        await delay(40, signal);
+        onToken(piece);
+      }
+    }
+
+    return text;
+  }
+};
+
+export default mockProvider;
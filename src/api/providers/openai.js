@@ -0,0 +1,119 @@
+import { ApiError, fetchWithRetries } from '../http.js';
+import { readSseStream } from '../sse.js';
+
+// =====================================
+// ADAPTADOR OPENAI-COMPATIBLE
+// (Groq, OpenAI, llama.cpp, Ollama...)
+// =====================================
+
+// Los endpoints de chat completions solo entienden texto e imágenes;
+// el resto de binarios (p. ej. PDF) se omite y debe llegar como texto.
+const toOpenAIMessages = (messages, systemInstruction) => {
+  const converted = messages.map(message => {
+    const role = message.role === 'model' ? 'assistant' : 'user';
+    const images = (message.files || []).filter(file => file.mimeType?.startsWith('image/'));
+
+    if (images.length === 0) {
+      return { role, content: message.text };
+    }
+
+    return {
+      role,
+      content: [
+        { type: 'text', text: message.text },
+        ...images.map(file => ({
+          type: 'image_url',
+          image_url: { url: `data:${file.mimeType};base64,${file.base64Data}` }
+        }))
+      ]
+    };
+  });
+
+  return systemInstruction
+    ? [{ role: 'system', content: systemInstruction }, ...converted]
+    : converted;
+};
+
+// Cuando el servidor no admite json_schema, el esquema viaja en el prompt
+const schemaInstruction = (schema) =>
+  `\n\nResponde ÚNICAMENTE con un objeto JSON válido que cumpla este JSON Schema, sin texto adicional:\n${JSON.stringify(schema)}`;
+
+const openAIProvider = {
+  id: 'openai',
+  supportsSchema: true,
+  supportsFiles: false,
+
+  // Con onToken la respuesta llega por SSE y se va entregando trozo a trozo
+  async generate({ messages, systemInstruction, responseMimeType, responseSchema, config, signal, onToken }) {
+    const wantsJson = responseMimeType.startsWith("application/json");
+    const jsonMode = wantsJson ? config.jsonMode : 'none';
+    const system = wantsJson && responseSchema && jsonMode !== 'schema'
+      ? systemInstruction + schemaInstruction(responseSchema)
+      : systemInstruction;
+
+    const payload = {
+      model: config.model,
+      messages: toOpenAIMessages(messages, system),
+      temperature: config.temperature,
+      top_p: 0.95,
+      max_tokens: config.maxOutputTokens,
+      stream: Boolean(onToken)
+    };
+
+    if (jsonMode === 'schema' && responseSchema) {
+      payload.response_format = {
+        type: 'json_schema',
+        json_schema: { name: 'respuesta', schema: responseSchema }
+      };
+    } else if (jsonMode === 'object' || (jsonMode === 'schema' && !responseSchema)) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    const headers = { 'Content-Type': 'application/json' };
+    // Los servidores locales (llama.cpp, Ollama) no requieren clave
+    if (config.apiKey) {
+      headers.Authorization = `Bearer ${config.apiKey}`;
+    }
+
+    const options = {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(payload),
+      signal
+    };
+
+    const response = await fetchWithRetries(`${config.baseUrl}/chat/completions`, options, config.maxRetries);
+
+    if (onToken) {
+      let text = '';
+      await readSseStream(response, ({ data }) => {
+        if (data === '[DONE]') return;
+        const chunk = JSON.parse(data);
+        if (chunk.error) {
+          throw new ApiError('server', chunk.error.message || "Error durante la respuesta del modelo");
+        }
+        const piece = chunk.choices?.[0]?.delta?.content;
+        if (piece) {
+          text += piece;
+          onToken(piece);
+        }
+      });
+
+      if (!text) {
+        throw new Error("No se recibió respuesta del modelo");
+      }
+      return text;
+    }
+
+    const result = await response.json();
+    const text = result.choices?.[0]?.message?.content;
+
+    if (!text) {
+      throw new Error(result.error?.message || "No se recibió respuesta del modelo");
+    }
+
+    return text;
+  }
+};
+
+export default openAIProvider;
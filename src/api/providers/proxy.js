@@ -0,0 +1,65 @@
+import { ApiError, fetchWithRetries } from '../http.js';
+import { readSseStream } from '../sse.js';
+
+// =====================================
+// ADAPTADOR PROXY (servidor propio)
+// =====================================
+
+// El servidor en /server guarda la API key y reenvía la petición al
+// proveedor real, así que aquí solo se envía el formato neutro.
+const proxyProvider = {
+  id: 'proxy',
+  supportsSchema: true,
+  supportsFiles: true,
+
+  // Con onToken el servidor reenvía la respuesta como SSE: eventos con
+  // { text } por cada trozo, "error" con { message, kind } y "done" al terminar
+  async generate({ messages, systemInstruction, responseMimeType, responseSchema, config, signal, onToken }) {
+    const options = {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        messages,
+        systemInstruction,
+        responseMimeType,
+        responseSchema,
+        maxOutputTokens: config.maxOutputTokens,
+        stream: Boolean(onToken)
+      }),
+      signal
+    };
+
+    // El servidor no reintenta: devuelve el error (con Retry-After si lo hay)
+    // y los reintentos se hacen aquí para poder mostrar la cuenta atrás
+    const response = await fetchWithRetries(`${config.baseUrl}/generate`, options, config.maxRetries);
+
+    if (onToken) {
+      let text = '';
+      await readSseStream(response, ({ event, data }) => {
+        const payload = JSON.parse(data);
+        if (event === 'error') {
+          throw new ApiError(payload.kind || 'server', payload.message || "Error durante la respuesta del modelo");
+        }
+        if (payload.text) {
+          text += payload.text;
+          onToken(payload.text);
+        }
+      });
+
+      if (!text) {
+        throw new Error("No se recibió respuesta del modelo");
+      }
+      return text;
+    }
+
+    const result = await response.json();
+
+    if (!result.text) {
+      throw new Error(result.error?.message || "No se recibió respuesta del modelo");
+    }
+
+    return result.text;
+  }
+};
+
+export default proxyProvider;
@@ -0,0 +1,45 @@
+// =====================================
+// LECTURA DE RESPUESTAS SSE
+// =====================================
+
+// Recorre un cuerpo text/event-stream y llama a onEvent({ event, data })
+// por cada evento completo. Funciona igual en el navegador y en Node.
+export const readSseStream = async (response, onEvent) => {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const dispatch = (rawEvent) => {
+    let event = 'message';
+    const dataLines = [];
+
+    rawEvent.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).replace(/^ /, ''));
+      }
+    });
+
+    if (dataLines.length > 0) {
+      onEvent({ event, data: dataLines.join('\n') });
+    }
+  };
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const events = buffer.split(/\r?\n\r?\n/);
+      buffer = events.pop();
+      events.forEach(dispatch);
+    }
+
+    buffer += decoder.decode();
+    if (buffer.trim()) dispatch(buffer);
+  } finally {
+    reader.releaseLock();
+  }
+};
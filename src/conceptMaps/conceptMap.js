@@ -0,0 +1,122 @@
+// =====================================
+// MAPA CONCEPTUAL
+// =====================================
+// La IA devuelve los conceptos (nodos) y sus relaciones (aristas con un verbo
+// o frase de enlace). El primer concepto es el central del mapa.
+
+export const CONCEPT_MAP_LIMITS = { minNodes: 4, maxNodes: 30, minEdges: 3, maxEdges: 60 };
+
+export const conceptMapSchema = {
+  type: "object",
+  properties: {
+    title: {
+      type: "string",
+      description: "Título del mapa conceptual"
+    },
+    nodes: {
+      type: "array",
+      description: "Conceptos; el primero es el concepto central",
+      items: {
+        type: "object",
+        properties: {
+          id: { type: "string", description: "Identificador corto y único, p. ej. \"c1\"" },
+          label: { type: "string", description: "Nombre del concepto (1 a 5 palabras)" },
+          description: { type: "string", description: "Definición breve del concepto según el material" }
+        },
+        required: ["id", "label"]
+      },
+      minItems: CONCEPT_MAP_LIMITS.minNodes,
+      maxItems: CONCEPT_MAP_LIMITS.maxNodes
+    },
+    edges: {
+      type: "array",
+      description: "Relaciones entre conceptos",
+      items: {
+        type: "object",
+        properties: {
+          from: { type: "string", description: "id del concepto de origen" },
+          to: { type: "string", description: "id del concepto de destino" },
+          label: { type: "string", description: "Frase de enlace, p. ej. \"está formada por\"" }
+        },
+        required: ["from", "to", "label"]
+      },
+      minItems: CONCEPT_MAP_LIMITS.minEdges,
+      maxItems: CONCEPT_MAP_LIMITS.maxEdges
+    }
+  },
+  required: ["title", "nodes", "edges"]
+};
+
+export const CONCEPT_MAP_PROMPT = `Crea un mapa conceptual del material con entre ${CONCEPT_MAP_LIMITS.minNodes} y ${CONCEPT_MAP_LIMITS.maxNodes} conceptos. El primer concepto de "nodes" debe ser la idea central; el resto, los conceptos importantes del material, cada uno con una definición breve en "description". En "edges" relaciona los conceptos con frases de enlace cortas que formen una proposición al leerlas ("la célula" → "contiene" → "el núcleo"). Todos los conceptos deben estar conectados y cada "from" y "to" debe ser el id de un concepto de "nodes". Escribe los nombres en texto plano, sin LaTeX ni Markdown.`;
+
+// Reglas que el esquema JSON no puede expresar (ids únicos y aristas que
+// apuntan a conceptos existentes), para pedir al modelo que las corrija
+export const validateConceptMapResponse = (response) => {
+  const errors = [];
+  const nodes = Array.isArray(response?.nodes) ? response.nodes : [];
+  const edges = Array.isArray(response?.edges) ? response.edges : [];
+  const ids = new Set();
+
+  nodes.forEach((node, index) => {
+    if (typeof node?.id !== 'string') return;
+    if (ids.has(node.id)) errors.push(`nodes[${index}]: el id "${node.id}" está repetido`);
+    ids.add(node.id);
+  });
+
+  edges.forEach((edge, index) => {
+    ['from', 'to'].forEach(end => {
+      if (typeof edge?.[end] === 'string' && !ids.has(edge[end])) {
+        errors.push(`edges[${index}].${end}: no hay ningún concepto con id "${edge[end]}"`);
+      }
+    });
+    if (edge?.from !== undefined && edge.from === edge.to) errors.push(`edges[${index}]: relaciona un concepto consigo mismo`);
+  });
+
+  return errors;
+};
+
+// Limpia la respuesta: quita conceptos repetidos o vacíos y relaciones rotas
+export const prepareConceptMap = (response) => {
+  const seen = new Set();
+  const nodes = (Array.isArray(response?.nodes) ? response.nodes : [])
+    .filter(node => {
+      if (typeof node?.id !== 'string' || typeof node.label !== 'string' || !node.label.trim() || seen.has(node.id)) return false;
+      seen.add(node.id);
+      return true;
+    })
+    .map(node => ({
+      id: node.id,
+      label: node.label.trim(),
+      ...(typeof node.description === 'string' && node.description.trim() ? { description: node.description.trim() } : {})
+    }));
+
+  if (nodes.length < 2) {
+    throw new Error("La IA no devolvió un mapa conceptual válido. Intenta de nuevo.");
+  }
+
+  const pairs = new Set();
+  const edges = (Array.isArray(response.edges) ? response.edges : [])
+    .filter(edge => seen.has(edge?.from) && seen.has(edge?.to) && edge.from !== edge.to)
+    .filter(edge => {
+      const pair = [edge.from, edge.to].sort().join('\n');
+      if (pairs.has(pair)) return false;
+      pairs.add(pair);
+      return true;
+    })
+    .map(edge => ({ from: edge.from, to: edge.to, label: typeof edge.label === 'string' ? edge.label.trim() : '' }));
+
+  const title = typeof response.title === 'string' && response.title.trim() ? response.title.trim() : nodes[0].label;
+  return { id: crypto.randomUUID(), title, nodes, edges };
+};
+
+// Instrucción para que el tutor explique un concepto del mapa con sus relaciones
+export const conceptPrompt = (map, node) => {
+  const labels = Object.fromEntries(map.nodes.map(({ id, label }) => [id, label]));
+  const relations = map.edges
+    .filter(edge => edge.from === node.id || edge.to === node.id)
+    .map(edge => `- ${labels[edge.from]} → ${edge.label} → ${labels[edge.to]}`);
+
+  return `Explica el concepto "${node.label}" usando el material.${relations.length > 0
+    ? ` En el mapa conceptual "${map.title}" aparece en estas relaciones:\n${relations.join('\n')}\n\nExplica también qué significan esas relaciones.`
+    : ''} Incluye un ejemplo.`;
+};
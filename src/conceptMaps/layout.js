@@ -0,0 +1,149 @@
+// =====================================
+// DISPOSICIÓN DEL MAPA CONCEPTUAL
+// =====================================
+// Disposición radial: el concepto central en el centro y el resto en anillos
+// según su distancia a él. Cada rama recibe un sector proporcional a sus
+// hojas para que no se crucen. Es determinista: el mismo mapa se dibuja
+// siempre igual en pantalla y en las exportaciones.
+
+const LEVEL_DISTANCE = 190;
+const MIN_NODE_SPACING = 170;
+const PADDING = 40;
+
+const LINE_CHARS = 18;
+const MAX_LINES = 3;
+export const NODE_FONT_SIZE = 13;
+export const LINE_HEIGHT = 17;
+const CHAR_WIDTH = 7.4;
+
+// Parte el nombre en líneas cortas; lo que no cabe termina en "…"
+export const nodeLines = (label) => {
+  const lines = [];
+  label.split(/\s+/).forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last !== undefined && `${last} ${word}`.length <= LINE_CHARS) {
+      lines[lines.length - 1] = `${last} ${word}`;
+    } else {
+      lines.push(word.length > LINE_CHARS ? `${word.slice(0, LINE_CHARS - 1)}…` : word);
+    }
+  });
+  if (lines.length > MAX_LINES) {
+    return [...lines.slice(0, MAX_LINES - 1), `${lines[MAX_LINES - 1].slice(0, LINE_CHARS - 1)}…`];
+  }
+  return lines;
+};
+
+const nodeSize = (lines) => ({
+  width: Math.max(...lines.map(line => line.length)) * CHAR_WIDTH + 24,
+  height: lines.length * LINE_HEIGHT + 14
+});
+
+// Árbol de recorrido en anchura desde el concepto central; los conceptos
+// sueltos (sin relaciones con el resto) cuelgan directamente de él
+const buildTree = (map) => {
+  const neighbors = new Map(map.nodes.map(node => [node.id, []]));
+  map.edges.forEach(({ from, to }) => {
+    neighbors.get(from).push(to);
+    neighbors.get(to).push(from);
+  });
+
+  const root = map.nodes[0].id;
+  const children = new Map(map.nodes.map(node => [node.id, []]));
+  const depth = new Map([[root, 0]]);
+  const queue = [root];
+
+  const visit = () => {
+    while (queue.length > 0) {
+      const id = queue.shift();
+      neighbors.get(id).forEach(next => {
+        if (depth.has(next)) return;
+        depth.set(next, depth.get(id) + 1);
+        children.get(id).push(next);
+        queue.push(next);
+      });
+    }
+  };
+
+  visit();
+  map.nodes.forEach(({ id }) => {
+    if (depth.has(id)) return;
+    depth.set(id, 1);
+    children.get(root).push(id);
+    queue.push(id);
+    visit();
+  });
+
+  return { root, children, depth };
+};
+
+// Devuelve { nodes: { [id]: { x, y, width, height, lines, depth } }, bounds }
+export const layoutConceptMap = (map) => {
+  const { root, children, depth } = buildTree(map);
+
+  const leaves = new Map();
+  const countLeaves = (id) => {
+    const count = children.get(id).length === 0 ? 1 : children.get(id).reduce((total, child) => total + countLeaves(child), 0);
+    leaves.set(id, count);
+    return count;
+  };
+  countLeaves(root);
+
+  // Cada anillo es lo bastante grande para que quepan sus conceptos
+  const perDepth = [];
+  depth.forEach(level => { perDepth[level] = (perDepth[level] || 0) + 1; });
+  const radius = [0];
+  for (let level = 1; level < perDepth.length; level++) {
+    radius[level] = Math.max(radius[level - 1] + LEVEL_DISTANCE, (perDepth[level] * MIN_NODE_SPACING) / (2 * Math.PI));
+  }
+
+  const positions = new Map([[root, { x: 0, y: 0 }]]);
+  const place = (id, start, end) => {
+    let angle = start;
+    children.get(id).forEach(child => {
+      const span = ((end - start) * leaves.get(child)) / leaves.get(id);
+      const middle = angle + span / 2;
+      const r = radius[depth.get(child)];
+      positions.set(child, { x: r * Math.cos(middle), y: r * Math.sin(middle) });
+      place(child, angle, angle + span);
+      angle += span;
+    });
+  };
+  // Empieza arriba y sigue en el sentido de las agujas del reloj
+  place(root, -Math.PI / 2, (3 * Math.PI) / 2);
+
+  const nodes = {};
+  map.nodes.forEach(({ id, label }) => {
+    const lines = nodeLines(label);
+    nodes[id] = { ...positions.get(id), ...nodeSize(lines), lines, depth: depth.get(id) };
+  });
+
+  const boxes = Object.values(nodes);
+  const minX = Math.min(...boxes.map(node => node.x - node.width / 2)) - PADDING;
+  const minY = Math.min(...boxes.map(node => node.y - node.height / 2)) - PADDING;
+  const maxX = Math.max(...boxes.map(node => node.x + node.width / 2)) + PADDING;
+  const maxY = Math.max(...boxes.map(node => node.y + node.height / 2)) + PADDING;
+
+  return { nodes, bounds: { x: minX, y: minY, width: maxX - minX, height: maxY - minY } };
+};
+
+// Punto donde la recta entre los centros sale del rectángulo del concepto
+const clipToBox = (node, toward) => {
+  const dx = toward.x - node.x;
+  const dy = toward.y - node.y;
+  if (dx === 0 && dy === 0) return { x: node.x, y: node.y };
+  const t = Math.min(
+    dx === 0 ? Infinity : node.width / 2 / Math.abs(dx),
+    dy === 0 ? Infinity : node.height / 2 / Math.abs(dy),
+    1
+  );
+  return { x: node.x + dx * t, y: node.y + dy * t };
+};
+
+// Extremos de una relación (de borde a borde) y punto medio para su etiqueta
+export const edgeGeometry = (layout, edge) => {
+  const from = layout.nodes[edge.from];
+  const to = layout.nodes[edge.to];
+  const start = clipToBox(from, to);
+  const end = clipToBox(to, from);
+  return { start, end, middle: { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 } };
+};
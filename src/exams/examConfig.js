@@ -0,0 +1,131 @@
+import { DIFFICULTIES, QUESTION_TYPES, getQuestionType } from './questionTypes.js';
+import { MATH_FORMAT_INSTRUCTION } from '../rendering/math.js';
+import { MAX_OUTPUT_TOKENS } from '../api/limits.js';
+
+// =====================================
+// CONFIGURACIÓN Y ESQUEMA DEL EXAMEN
+// =====================================
+
+export const EXAM_QUESTION_LIMITS = { min: 3, max: 30 };
+
+export const DIFFICULTY_OPTIONS = { ...DIFFICULTIES, mixta: 'Mixta' };
+
+// Tokens de salida por pregunta (enunciado, opciones, explicación, tema y, en
+// las abiertas, rúbrica) más el título. Con EXAM_QUESTION_LIMITS.max preguntas
+// debe quedar por debajo de MAX_OUTPUT_TOKENS para que el JSON no se corte.
+const EXAM_TOKENS_PER_QUESTION = 260;
+const EXAM_BASE_TOKENS = 256;
+
+export const examOutputTokens = (count) => Math.min(MAX_OUTPUT_TOKENS, EXAM_BASE_TOKENS + count * EXAM_TOKENS_PER_QUESTION);
+
+// timer: null o { totalMinutes, perQuestionSeconds } (0 = sin límite por pregunta)
+export const DEFAULT_EXAM_CONFIG = {
+  count: 5,
+  difficulty: 'media',
+  types: ['single'],
+  timer: null
+};
+
+export const EXAM_TIMER_LIMITS = {
+  minMinutes: 1,
+  maxMinutes: 180,
+  minQuestionSeconds: 10,
+  maxQuestionSeconds: 600
+};
+
+// Minuto y medio por pregunta como punto de partida del simulacro
+export const suggestedExamMinutes = (count) => Math.max(EXAM_TIMER_LIMITS.minMinutes, Math.round((count || 0) * 1.5));
+
+export const isValidTimer = (timer) => {
+  if (!timer) return true;
+  const { totalMinutes, perQuestionSeconds } = timer;
+  const minutesOk = Number.isInteger(totalMinutes) &&
+    totalMinutes >= EXAM_TIMER_LIMITS.minMinutes && totalMinutes <= EXAM_TIMER_LIMITS.maxMinutes;
+  const secondsOk = perQuestionSeconds === 0 || (Number.isInteger(perQuestionSeconds) &&
+    perQuestionSeconds >= EXAM_TIMER_LIMITS.minQuestionSeconds && perQuestionSeconds <= EXAM_TIMER_LIMITS.maxQuestionSeconds);
+  return minutesOk && secondsOk;
+};
+
+// El esquema de cada pregunta es el de su tipo; con varios tipos se admite cualquiera
+export const buildExamSchema = ({ count, types }) => ({
+  type: "object",
+  properties: {
+    title: {
+      type: "string",
+      description: "Título del cuestionario"
+    },
+    questions: {
+      type: "array",
+      description: `Lista de ${count} preguntas`,
+      items: types.length === 1
+        ? QUESTION_TYPES[types[0]].schema
+        : { anyOf: types.map(type => QUESTION_TYPES[type].schema) },
+      minItems: count,
+      maxItems: count
+    }
+  },
+  required: ["title", "questions"]
+});
+
+export const buildExamPrompt = ({ count, difficulty, types }) => {
+  const difficultyText = difficulty === 'mixta'
+    ? 'Mezcla preguntas de dificultad fácil, media y difícil, e indica la de cada una en "difficulty".'
+    : `Todas las preguntas deben ser de dificultad ${DIFFICULTIES[difficulty].toLowerCase()} ("difficulty": "${difficulty}").`;
+
+  const typesText = types.length === 1
+    ? `Todas las preguntas son de este tipo:\n- ${QUESTION_TYPES[types[0]].instructions}`
+    : `Reparte las preguntas de forma equilibrada entre estos tipos:\n${types.map(type => `- ${QUESTION_TYPES[type].instructions}`).join('\n')}`;
+
+  return `Crea un examen de ${count} preguntas basadas estrictamente en el material. ${difficultyText}\n\n${typesText}\n\nCada pregunta debe incluir una explicación detallada de la respuesta correcta en "explanation" y el tema que evalúa en "topic" (de 1 a 4 palabras; usa la misma etiqueta para las preguntas del mismo tema).\n\n${MATH_FORMAT_INSTRUCTION} Dentro del JSON escapa las barras invertidas (\\\\frac, \\\\ce).`;
+};
+
+const shuffledIndices = (length) => {
+  const indices = Array.from({ length }, (_, i) => i);
+  for (let i = indices.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [indices[i], indices[j]] = [indices[j], indices[i]];
+  }
+  return indices;
+};
+
+const questionErrors = (q) => (QUESTION_TYPES[q.type || 'single']
+  ? getQuestionType(q).validate(q)
+  : [`tipo desconocido "${q.type}"`]);
+
+// Reglas de cada tipo que el esquema JSON no puede expresar (índice de la
+// correcta dentro de las opciones, hueco en el enunciado...). Se usan para
+// pedir al modelo que corrija su respuesta antes de descartar preguntas.
+export const validateExamResponse = (response) => (Array.isArray(response?.questions) ? response.questions : [])
+  .flatMap((q, index) => (q && typeof q === 'object' ? questionErrors(q) : [])
+    .map(error => `questions[${index}]: ${error}`));
+
+// Valida cada pregunta con las reglas de su tipo y descarta las inválidas.
+// Las preguntas de relacionar reciben el orden (barajado) de la columna derecha.
+export const prepareExam = (exam) => {
+  if (!Array.isArray(exam?.questions)) {
+    throw new Error("La IA no devolvió preguntas. Intenta de nuevo.");
+  }
+
+  const discarded = [];
+  const questions = exam.questions
+    .map(q => ({ ...q, type: q.type || 'single' }))
+    .filter((q, index) => {
+      const errors = questionErrors(q);
+      if (errors.length > 0) {
+        discarded.push({ index, errors });
+        return false;
+      }
+      return true;
+    })
+    .map(q => (q.type === 'matching' && !q.rightOrder ? { ...q, rightOrder: shuffledIndices(q.pairs.length) } : q));
+
+  if (discarded.length > 0) {
+    console.warn("Preguntas descartadas por no cumplir su esquema:", discarded);
+  }
+
+  if (questions.length === 0) {
+    throw new Error("Ninguna de las preguntas generadas era válida. Intenta de nuevo.");
+  }
+
+  return { exam: { ...exam, questions }, discarded: discarded.length };
+};
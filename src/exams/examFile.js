@@ -0,0 +1,164 @@
+import { DIFFICULTIES, QUESTION_TYPES, getQuestionType } from './questionTypes.js';
+import { DIFFICULTY_OPTIONS, isValidTimer, prepareExam } from './examConfig.js';
+
+// =====================================
+// ARCHIVOS Y ENLACES DE EXAMEN
+// =====================================
+// Un examen se guarda como JSON con un identificador de formato y su versión.
+// El mismo JSON, comprimido y en base64url, viaja en el fragmento de la URL
+// (#examen=...) para compartirlo sin servidor: el fragmento nunca sale del
+// navegador.
+
+const EXAM_FILE_FORMAT = 'tutor-estudio/examen';
+const EXAM_FILE_VERSION = 1;
+const MAX_FILE_QUESTIONS = 100;
+// Errores que se muestran antes de resumir el resto
+const MAX_REPORTED_ERRORS = 3;
+
+export const EXAM_LINK_PREFIX = '#examen=';
+
+// Solo lo necesario para volver a hacer el examen; sin datos de la sesión
+const toExamFile = (exam) => ({
+  format: EXAM_FILE_FORMAT,
+  version: EXAM_FILE_VERSION,
+  exportedAt: Date.now(),
+  exam: {
+    title: exam.title,
+    questions: exam.questions,
+    ...(exam.config ? { config: exam.config } : {})
+  }
+});
+
+export const serializeExam = (exam) => JSON.stringify(toExamFile(exam), null, 2);
+
+export const isExamFileName = (file) => file.type === 'application/json' || /\.json$/i.test(file.name);
+
+const isPermutation = (order, length) => Array.isArray(order) && order.length === length &&
+  [...order].sort((a, b) => a - b).every((value, index) => value === index);
+
+const validateQuestion = (q) => {
+  if (!q || typeof q !== 'object' || Array.isArray(q)) return ["no es un objeto"];
+  if (q.type !== undefined && !QUESTION_TYPES[q.type]) return [`tipo desconocido "${q.type}"`];
+
+  const errors = [];
+  try {
+    errors.push(...getQuestionType(q).validate(q));
+  } catch {
+    errors.push("estructura inválida para su tipo");
+  }
+  if (q.difficulty !== undefined && !DIFFICULTIES[q.difficulty]) errors.push(`dificultad desconocida "${q.difficulty}"`);
+  return errors;
+};
+
+// Configuración guardada con el examen; lo que no sea válido se ignora
+const sanitizeConfig = (config) => {
+  if (!config || typeof config !== 'object') return undefined;
+
+  const types = Array.isArray(config.types) ? config.types.filter(type => QUESTION_TYPES[type]) : [];
+  return {
+    difficulty: DIFFICULTY_OPTIONS[config.difficulty] ? config.difficulty : 'mixta',
+    types: types.length > 0 ? types : ['single'],
+    timer: config.timer && isValidTimer(config.timer) ? config.timer : null
+  };
+};
+
+// Valida un examen exportado. A diferencia de los generados por la IA, aquí
+// no se descartan preguntas: un archivo con errores se rechaza entero.
+export const parseExamFile = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("El archivo no es un JSON válido.");
+  }
+
+  if (data?.format !== EXAM_FILE_FORMAT || !data.exam || typeof data.exam !== 'object') {
+    throw new Error("El archivo no es un examen exportado desde el tutor.");
+  }
+  if (!Number.isInteger(data.version) || data.version > EXAM_FILE_VERSION) {
+    throw new Error("El examen se exportó con una versión más reciente de la aplicación.");
+  }
+
+  const { title, questions, config } = data.exam;
+  if (typeof title !== 'string' || !title.trim()) {
+    throw new Error("Al examen le falta el título.");
+  }
+  if (!Array.isArray(questions) || questions.length === 0) {
+    throw new Error("El examen no tiene preguntas.");
+  }
+  if (questions.length > MAX_FILE_QUESTIONS) {
+    throw new Error(`El examen tiene demasiadas preguntas (${questions.length}). Máximo: ${MAX_FILE_QUESTIONS}.`);
+  }
+
+  const invalid = questions
+    .map((q, index) => ({ number: index + 1, errors: validateQuestion(q) }))
+    .filter(({ errors }) => errors.length > 0);
+
+  if (invalid.length > 0) {
+    const details = invalid
+      .slice(0, MAX_REPORTED_ERRORS)
+      .map(({ number, errors }) => `pregunta ${number}: ${errors.join(', ')}`);
+    const more = invalid.length > MAX_REPORTED_ERRORS ? ` y ${invalid.length - MAX_REPORTED_ERRORS} más` : '';
+    throw new Error(`El examen tiene preguntas inválidas (${details.join('; ')}${more}).`);
+  }
+
+  // Un orden de columnas que no encaje se descarta y prepareExam baraja otro
+  const cleaned = questions.map(q => {
+    if (q.type !== 'matching' || isPermutation(q.rightOrder, q.pairs.length)) return q;
+    const { rightOrder: _rightOrder, ...rest } = q;
+    return rest;
+  });
+
+  const { exam } = prepareExam({ title: title.trim(), questions: cleaned });
+  const examConfig = sanitizeConfig(config);
+  return examConfig ? { ...exam, config: examConfig } : exam;
+};
+
+// =====================================
+// ENLACE PARA COMPARTIR
+// =====================================
+
+const assertCompressionSupport = () => {
+  if (typeof CompressionStream === 'undefined' || typeof DecompressionStream === 'undefined') {
+    throw new Error("Este navegador no permite crear ni abrir enlaces de examen. Usa el archivo JSON.");
+  }
+};
+
+const pipeBytes = (bytes, transform) => new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer();
+
+const toBase64Url = (buffer) => {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Por tramos: String.fromCharCode no admite millones de argumentos
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+// baseUrl: dirección de la app sin fragmento
+export const createExamLink = async (exam, baseUrl) => {
+  assertCompressionSupport();
+  const json = new TextEncoder().encode(JSON.stringify(toExamFile(exam)));
+  const compressed = await pipeBytes(json, new CompressionStream('deflate-raw'));
+  return `${baseUrl}${EXAM_LINK_PREFIX}${toBase64Url(compressed)}`;
+};
+
+// hash: location.hash que empieza por EXAM_LINK_PREFIX
+export const readExamLink = async (hash) => {
+  assertCompressionSupport();
+  let json;
+  try {
+    const bytes = fromBase64Url(hash.slice(EXAM_LINK_PREFIX.length));
+    json = new TextDecoder().decode(await pipeBytes(bytes, new DecompressionStream('deflate-raw')));
+  } catch {
+    throw new Error("El enlace del examen está incompleto o dañado.");
+  }
+  return parseExamFile(json);
+};
@@ -0,0 +1,63 @@
+import { DIFFICULTIES, getQuestionType } from './questionTypes.js';
+import { EXAM_QUESTION_LIMITS, DEFAULT_EXAM_CONFIG, buildExamPrompt } from './examConfig.js';
+
+// =====================================
+// PRÁCTICA DE ERRORES
+// =====================================
+// Tras un examen se puede pedir otro sobre los conceptos fallados, con otra
+// redacción y otros distractores. Se repite por rondas hasta llegar al
+// umbral de dominio.
+
+export const MASTERY_THRESHOLD = 80;
+
+const DIFFICULTY_ORDER = Object.keys(DIFFICULTIES);
+
+export const getMissedQuestions = (attempt) => attempt.questions
+  .map((q, qIndex) => ({ q, answer: attempt.answers[qIndex], result: attempt.results[qIndex] }))
+  .filter(({ result }) => !result.correct);
+
+export const hasReachedMastery = (attempt) =>
+  Math.round((attempt.score / attempt.total) * 100) >= MASTERY_THRESHOLD;
+
+// Si el alumno sigue fallando más de la mitad, la siguiente ronda baja un nivel
+const nextDifficulty = (difficulty, percentage) => {
+  const index = DIFFICULTY_ORDER.indexOf(difficulty);
+  if (percentage >= 50 || index <= 0) return difficulty;
+  return DIFFICULTY_ORDER[index - 1];
+};
+
+// Tipos de pregunta que aparecen en el examen, en su orden
+const questionTypes = (questions) => [...new Set(questions.map(q => q.type || 'single'))];
+
+// config: la del examen original (tipos y dificultad). Los exámenes importados
+// pueden no traerla: entonces se usan los tipos de sus preguntas.
+export const buildFollowUpConfig = (attempt, config) => {
+  const missed = getMissedQuestions(attempt);
+  const percentage = Math.round((attempt.score / attempt.total) * 100);
+
+  return {
+    count: Math.min(EXAM_QUESTION_LIMITS.max, Math.max(EXAM_QUESTION_LIMITS.min, missed.length * 2)),
+    difficulty: nextDifficulty(config?.difficulty || DEFAULT_EXAM_CONFIG.difficulty, percentage),
+    types: config?.types || questionTypes(attempt.questions)
+  };
+};
+
+const describeMissed = ({ q, answer, result }, index) => {
+  const type = getQuestionType(q);
+  const studentAnswer = type.isAnswered(answer, q) ? type.formatAnswer(q, answer) : 'Sin responder';
+
+  return [
+    `${index + 1}. Tema: ${q.topic || 'General'}`,
+    `   Pregunta: ${q.question}`,
+    `   Respondió: ${studentAnswer}`,
+    `   Respuesta correcta: ${type.formatCorrect(q)}`,
+    `   Explicación: ${q.explanation}`,
+    ...(result.missingIdeas?.length ? [`   Ideas que le faltaron: ${result.missingIdeas.join('; ')}`] : [])
+  ].join('\n');
+};
+
+export const buildFollowUpPrompt = (attempt, config, round) => {
+  const missed = getMissedQuestions(attempt);
+
+  return `Ronda ${round} de práctica de errores. En el examen anterior el alumno falló estas preguntas:\n\n${missed.map(describeMissed).join('\n\n')}\n\nEl nuevo examen debe evaluar exactamente esos conceptos, no otros. Usa enunciados distintos, otros ejemplos y distractores nuevos (pensados a partir de los errores del alumno); no copies ni parafrasees de cerca las preguntas anteriores. Si un concepto se falló varias veces, pregúntalo desde ángulos diferentes.\n\n${buildExamPrompt(config)}`;
+};
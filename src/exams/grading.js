@@ -0,0 +1,127 @@
+import { generateContent } from '../api/index.js';
+import { isAbortError } from '../api/http.js';
+import { getQuestionType, getRubricPoints } from './questionTypes.js';
+import { MATH_FORMAT_INSTRUCTION } from '../rendering/math.js';
+
+// =====================================
+// CORRECCIÓN DEL EXAMEN
+// =====================================
+// Las preguntas cerradas se corrigen en el navegador. Las abiertas se envían
+// juntas en una segunda llamada al modelo, que las puntúa con su rúbrica.
+
+const GRADER_INSTRUCTION = `Eres un profesor que corrige respuestas abiertas de forma justa y constructiva. Puntúa cada criterio de la rúbrica según lo que el alumno escribe realmente, sin suponer lo que quiso decir. Acepta sinónimos y redacciones distintas de la respuesta modelo. Dirígete al alumno de tú. ${MATH_FORMAT_INSTRUCTION}`;
+
+const gradingSchema = {
+  type: "object",
+  properties: {
+    grades: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          questionNumber: { type: "integer" },
+          awardedPoints: {
+            type: "array",
+            description: "Puntos obtenidos en cada criterio, en el orden de la rúbrica",
+            items: { type: "number" }
+          },
+          missingIdeas: { type: "array", items: { type: "string" } },
+          feedback: { type: "string" }
+        },
+        required: ["questionNumber", "awardedPoints", "missingIdeas", "feedback"]
+      }
+    }
+  },
+  required: ["grades"]
+};
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+const isAiGradable = (q) => getQuestionType(q).open && Array.isArray(q.rubric) && q.rubric.length > 0;
+
+const buildGradingPrompt = (pending) => {
+  const blocks = pending.map(({ q, answer, number }) => {
+    const rubric = q.rubric
+      .map((item, index) => `  ${index + 1}. ${item.criterion} (${item.points} ${item.points === 1 ? 'punto' : 'puntos'})`)
+      .join('\n');
+
+    return `### Pregunta ${number}\n${q.question}\n\nRespuesta modelo:\n${q.sampleAnswer}\n\nRúbrica:\n${rubric}\n\nRespuesta del alumno:\n"""\n${answer}\n"""`;
+  });
+
+  return `Corrige las siguientes respuestas. Para cada pregunta devuelve su número en "questionNumber", los puntos obtenidos en cada criterio de la rúbrica (en el mismo orden, entre 0 y el máximo del criterio, se admiten medios puntos) en "awardedPoints", las ideas clave de la respuesta modelo que faltan en "missingIdeas" (vacío si no falta ninguna) y un comentario personalizado de dos o tres frases en "feedback".\n\n${blocks.join('\n\n')}`;
+};
+
+// Cada pregunta pendiente debe tener su nota, con un valor por criterio
+const validateGrades = (pending) => (response) => pending.flatMap(({ q, number }) => {
+  const grade = response.grades.find(item => item?.questionNumber === number);
+  if (!grade) return [`grades: falta la pregunta ${number}`];
+  return grade.awardedPoints.length === q.rubric.length
+    ? []
+    : [`grades (pregunta ${number}): awardedPoints debe tener ${q.rubric.length} valores, uno por criterio`];
+});
+
+// Corrige las preguntas abiertas con la IA. Devuelve { [índice]: resultado }
+const gradeOpenAnswers = async (pending, signal) => {
+  const response = await generateContent(buildGradingPrompt(pending), null, GRADER_INSTRUCTION, 'application/json', gradingSchema, {
+    signal,
+    validate: validateGrades(pending)
+  });
+  const grades = Array.isArray(response?.grades) ? response.grades : [];
+
+  return Object.fromEntries(pending.flatMap(({ q, qIndex, number }) => {
+    const grade = grades.find(item => item?.questionNumber === number);
+    if (!grade || !Array.isArray(grade.awardedPoints)) return [];
+
+    const earned = q.rubric.reduce((sum, item, index) =>
+      sum + clamp(Number(grade.awardedPoints[index]) || 0, 0, item.points), 0);
+
+    return [[qIndex, {
+      score: earned / getRubricPoints(q),
+      points: earned,
+      maxPoints: getRubricPoints(q),
+      missingIdeas: Array.isArray(grade.missingIdeas) ? grade.missingIdeas.filter(Boolean) : [],
+      feedback: typeof grade.feedback === 'string' ? grade.feedback : '',
+      gradedBy: 'ai'
+    }]];
+  }));
+};
+
+// Devuelve un resultado por pregunta: { score (0-1), correct, ... }.
+// Si la corrección con IA falla, las abiertas se puntúan por palabras clave.
+export const gradeExam = async ({ questions, answers, signal }) => {
+  const pending = questions
+    .map((q, qIndex) => ({ q, qIndex, number: qIndex + 1, answer: answers[qIndex] }))
+    .filter(({ q, answer }) => isAiGradable(q) && getQuestionType(q).isAnswered(answer, q));
+
+  let aiResults = {};
+  let aiError = null;
+
+  if (pending.length > 0) {
+    try {
+      aiResults = await gradeOpenAnswers(pending, signal);
+    } catch (error) {
+      if (isAbortError(error)) throw error;
+      console.error("Error al corregir las respuestas abiertas:", error);
+      aiError = error;
+    }
+  }
+
+  const results = questions.map((q, qIndex) => {
+    const type = getQuestionType(q);
+    const answer = answers[qIndex];
+
+    if (!type.isAnswered(answer, q)) {
+      return { score: 0, correct: false };
+    }
+
+    const result = aiResults[qIndex] || {
+      score: Number(type.grade(q, answer)),
+      ...(type.open ? { gradedBy: 'keywords' } : {})
+    };
+    return { ...result, correct: result.score === 1 };
+  });
+
+  return { results, aiError };
+};
+
+export const formatScore = (score) => String(Math.round(score * 10) / 10).replace('.', ',');
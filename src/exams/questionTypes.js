@@ -0,0 +1,278 @@
+// =====================================
+// TIPOS DE PREGUNTA
+// =====================================
+// Cada tipo define su esquema JSON, instrucciones para el modelo, validación,
+// corrección y cómo mostrar respuestas en el resumen del chat.
+// grade() devuelve true/false, o una fracción entre 0 y 1 en las preguntas
+// abiertas, que la IA corrige con su rúbrica (ver grading.js) y solo usan
+// grade() como respaldo por palabras clave.
+
+export const DIFFICULTIES = {
+  facil: 'Fácil',
+  media: 'Media',
+  dificil: 'Difícil'
+};
+
+const normalizeAnswer = (text = '') => text
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9ñ]+/g, ' ')
+  .trim();
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+
+const isIndex = (value, length) => Number.isInteger(value) && value >= 0 && value < length;
+
+// Campos comunes a todos los tipos
+const baseProperties = (type) => ({
+  type: { type: "string", enum: [type] },
+  question: { type: "string" },
+  topic: { type: "string", description: "Tema concreto que evalúa la pregunta (1-4 palabras)" },
+  difficulty: { type: "string", enum: Object.keys(DIFFICULTIES) },
+  explanation: { type: "string" }
+});
+
+const baseRequired = ["type", "question", "topic", "difficulty", "explanation"];
+
+const validateBase = (q) => {
+  const errors = [];
+  if (!isNonEmptyString(q.question)) errors.push("falta el enunciado");
+  if (!isNonEmptyString(q.explanation)) errors.push("falta la explicación");
+  return errors;
+};
+
+const letter = (index) => String.fromCharCode(65 + index);
+
+// Campos de las preguntas abiertas: respuesta modelo, conceptos clave y rúbrica
+const openProperties = {
+  sampleAnswer: { type: "string" },
+  keywords: { type: "array", items: { type: "string" }, minItems: 2, maxItems: 5 },
+  rubric: {
+    type: "array",
+    items: {
+      type: "object",
+      properties: {
+        criterion: { type: "string" },
+        points: { type: "integer", minimum: 1, maximum: 5 }
+      },
+      required: ["criterion", "points"]
+    },
+    minItems: 2,
+    maxItems: 5
+  }
+};
+
+const openRequired = ["sampleAnswer", "keywords", "rubric"];
+
+const validateOpen = (q) => {
+  const errors = validateBase(q);
+  if (!isNonEmptyString(q.sampleAnswer)) errors.push("falta sampleAnswer");
+  if (!Array.isArray(q.keywords) || q.keywords.length === 0 || !q.keywords.every(isNonEmptyString)) {
+    errors.push("faltan keywords");
+  }
+  if (
+    !Array.isArray(q.rubric) || q.rubric.length === 0 ||
+    !q.rubric.every(item => isNonEmptyString(item?.criterion) && Number.isInteger(item.points) && item.points > 0)
+  ) {
+    errors.push("rúbrica inválida");
+  }
+  return errors;
+};
+
+// Respaldo sin IA: fracción de conceptos clave que aparecen en la respuesta
+const gradeByKeywords = (q, answer = '') => {
+  const normalized = normalizeAnswer(answer);
+  const found = q.keywords.filter(keyword => normalized.includes(normalizeAnswer(keyword)));
+  return found.length / q.keywords.length;
+};
+
+export const getRubricPoints = (q) => q.rubric.reduce((sum, item) => sum + item.points, 0);
+
+export const QUESTION_TYPES = {
+  single: {
+    label: 'Opción múltiple (una correcta)',
+    instructions: 'type "single": 4 opciones en "options" y el índice (0-3) de la única correcta en "correctAnswerIndex".',
+    schema: {
+      type: "object",
+      properties: {
+        ...baseProperties('single'),
+        options: { type: "array", items: { type: "string" }, minItems: 4, maxItems: 4 },
+        correctAnswerIndex: { type: "integer", minimum: 0, maximum: 3 }
+      },
+      required: [...baseRequired, "options", "correctAnswerIndex"]
+    },
+    validate: (q) => {
+      const errors = validateBase(q);
+      if (!Array.isArray(q.options) || q.options.length !== 4 || !q.options.every(isNonEmptyString)) {
+        errors.push("debe tener exactamente 4 opciones");
+      } else if (!isIndex(q.correctAnswerIndex, q.options.length)) {
+        errors.push("correctAnswerIndex fuera de rango");
+      }
+      return errors;
+    },
+    isAnswered: (answer) => answer !== undefined,
+    grade: (q, answer) => answer === q.correctAnswerIndex,
+    formatAnswer: (q, answer) => q.options[answer],
+    formatCorrect: (q) => q.options[q.correctAnswerIndex]
+  },
+
+  truefalse: {
+    label: 'Verdadero / Falso',
+    instructions: 'type "truefalse": una afirmación en "question" y "correctAnswer" true o false.',
+    schema: {
+      type: "object",
+      properties: {
+        ...baseProperties('truefalse'),
+        correctAnswer: { type: "boolean" }
+      },
+      required: [...baseRequired, "correctAnswer"]
+    },
+    validate: (q) => {
+      const errors = validateBase(q);
+      if (typeof q.correctAnswer !== 'boolean') errors.push("correctAnswer debe ser true o false");
+      return errors;
+    },
+    isAnswered: (answer) => typeof answer === 'boolean',
+    grade: (q, answer) => answer === q.correctAnswer,
+    formatAnswer: (q, answer) => (answer ? 'Verdadero' : 'Falso'),
+    formatCorrect: (q) => (q.correctAnswer ? 'Verdadero' : 'Falso')
+  },
+
+  multiple: {
+    label: 'Selección múltiple (varias correctas)',
+    instructions: 'type "multiple": entre 4 y 6 opciones en "options" y los índices de TODAS las correctas (al menos una) en "correctAnswerIndices".',
+    schema: {
+      type: "object",
+      properties: {
+        ...baseProperties('multiple'),
+        options: { type: "array", items: { type: "string" }, minItems: 4, maxItems: 6 },
+        correctAnswerIndices: { type: "array", items: { type: "integer", minimum: 0, maximum: 5 }, minItems: 1 }
+      },
+      required: [...baseRequired, "options", "correctAnswerIndices"]
+    },
+    validate: (q) => {
+      const errors = validateBase(q);
+      if (!Array.isArray(q.options) || q.options.length < 4 || q.options.length > 6 || !q.options.every(isNonEmptyString)) {
+        errors.push("debe tener entre 4 y 6 opciones");
+      } else if (
+        !Array.isArray(q.correctAnswerIndices) ||
+        q.correctAnswerIndices.length === 0 ||
+        !q.correctAnswerIndices.every(index => isIndex(index, q.options.length))
+      ) {
+        errors.push("correctAnswerIndices inválido");
+      }
+      return errors;
+    },
+    isAnswered: (answer) => Array.isArray(answer) && answer.length > 0,
+    grade: (q, answer = []) => {
+      const expected = new Set(q.correctAnswerIndices);
+      return answer.length === expected.size && answer.every(index => expected.has(index));
+    },
+    formatAnswer: (q, answer) => answer.map(index => `${letter(index)}. ${q.options[index]}`).join('; '),
+    formatCorrect: (q) => q.correctAnswerIndices.map(index => `${letter(index)}. ${q.options[index]}`).join('; ')
+  },
+
+  fill: {
+    label: 'Completar el hueco',
+    instructions: 'type "fill": un enunciado con un hueco marcado "___", la respuesta en "correctAnswer" y variantes válidas (sinónimos, otra grafía) en "acceptedAnswers".',
+    schema: {
+      type: "object",
+      properties: {
+        ...baseProperties('fill'),
+        correctAnswer: { type: "string" },
+        acceptedAnswers: { type: "array", items: { type: "string" } }
+      },
+      required: [...baseRequired, "correctAnswer", "acceptedAnswers"]
+    },
+    validate: (q) => {
+      const errors = validateBase(q);
+      if (isNonEmptyString(q.question) && !q.question.includes('___')) errors.push("el enunciado debe incluir el hueco ___");
+      if (!isNonEmptyString(q.correctAnswer)) errors.push("falta correctAnswer");
+      return errors;
+    },
+    isAnswered: (answer) => isNonEmptyString(answer),
+    grade: (q, answer) => [q.correctAnswer, ...(q.acceptedAnswers || [])]
+      .some(accepted => normalizeAnswer(accepted) === normalizeAnswer(answer)),
+    formatAnswer: (q, answer) => answer,
+    formatCorrect: (q) => q.correctAnswer
+  },
+
+  matching: {
+    label: 'Relacionar columnas',
+    instructions: 'type "matching": entre 3 y 6 parejas en "pairs", cada una con "left" (concepto) y "right" (su pareja correcta).',
+    schema: {
+      type: "object",
+      properties: {
+        ...baseProperties('matching'),
+        pairs: {
+          type: "array",
+          items: {
+            type: "object",
+            properties: { left: { type: "string" }, right: { type: "string" } },
+            required: ["left", "right"]
+          },
+          minItems: 3,
+          maxItems: 6
+        }
+      },
+      required: [...baseRequired, "pairs"]
+    },
+    validate: (q) => {
+      const errors = validateBase(q);
+      if (
+        !Array.isArray(q.pairs) || q.pairs.length < 3 || q.pairs.length > 6 ||
+        !q.pairs.every(pair => isNonEmptyString(pair?.left) && isNonEmptyString(pair?.right))
+      ) {
+        errors.push("debe tener entre 3 y 6 parejas completas");
+      }
+      return errors;
+    },
+    // answer: { [índice izquierda]: índice derecha }
+    isAnswered: (answer, q) => Boolean(answer) && q.pairs.every((_, index) => answer[index] !== undefined),
+    grade: (q, answer = {}) => q.pairs.every((_, index) => answer[index] === index),
+    formatAnswer: (q, answer) => q.pairs.map((pair, index) => `${pair.left} → ${q.pairs[answer[index]]?.right ?? '—'}`).join('; '),
+    formatCorrect: (q) => q.pairs.map(pair => `${pair.left} → ${pair.right}`).join('; ')
+  },
+
+  short: {
+    label: 'Respuesta corta',
+    open: true,
+    instructions: 'type "short": pregunta abierta de una o dos frases, una respuesta modelo en "sampleAnswer", de 2 a 5 conceptos imprescindibles en "keywords" y una rúbrica de 2 a 5 criterios en "rubric", cada uno con "criterion" y "points" (1-5).',
+    schema: {
+      type: "object",
+      properties: {
+        ...baseProperties('short'),
+        ...openProperties
+      },
+      required: [...baseRequired, ...openRequired]
+    },
+    validate: validateOpen,
+    isAnswered: (answer) => isNonEmptyString(answer),
+    grade: gradeByKeywords,
+    formatAnswer: (q, answer) => answer,
+    formatCorrect: (q) => q.sampleAnswer
+  },
+
+  essay: {
+    label: 'Desarrollo',
+    open: true,
+    instructions: 'type "essay": pregunta de desarrollo que pida explicar, comparar o relacionar ideas en uno o dos párrafos, una respuesta modelo en "sampleAnswer", de 2 a 5 conceptos imprescindibles en "keywords" y una rúbrica de 2 a 5 criterios en "rubric", cada uno con "criterion" y "points" (1-5).',
+    schema: {
+      type: "object",
+      properties: {
+        ...baseProperties('essay'),
+        ...openProperties
+      },
+      required: [...baseRequired, ...openRequired]
+    },
+    validate: validateOpen,
+    isAnswered: (answer) => isNonEmptyString(answer),
+    grade: gradeByKeywords,
+    formatAnswer: (q, answer) => answer,
+    formatCorrect: (q) => q.sampleAnswer
+  }
+};
+
+// Las preguntas generadas antes de existir los tipos no tienen "type"
+export const getQuestionType = (q) => QUESTION_TYPES[q.type] || QUESTION_TYPES.single;
@@ -0,0 +1,40 @@
+// =====================================
+// MAZO PARA ANKI
+// =====================================
+// Archivo de texto que Anki importa directamente (Archivo > Importar): una
+// tarjeta por línea con anverso, reverso, mazo y etiquetas. Las cabeceras "#"
+// le indican el separador y qué columnas son el mazo y las etiquetas.
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Anki muestra las fórmulas con MathJax, que usa \( \) y \[ \] en lugar de $
+const toAnkiMath = (text) => text
+  .replace(/\$\$([\s\S]+?)\$\$/g, (_, formula) => `\\[${formula.trim()}\\]`)
+  .replace(/(^|[^\\$])\$([^$\n]+?)\$/g, (_, before, formula) => `${before}\\(${formula}\\)`);
+
+const toAnkiField = (text = '') => toAnkiMath(escapeHtml(text))
+  .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+  .replace(/\r?\n/g, '<br>');
+
+// CSV: comillas dobles alrededor de cada campo y duplicadas dentro
+const csvField = (value) => `"${String(value).replace(/"/g, '""')}"`;
+
+// Los mazos anidados de Anki se separan con "::"
+const toDeckName = (deckName) => `Tutor de estudio::${(deckName || 'General').replace(/::/g, ':')}`;
+
+export const flashcardsToAnkiCsv = (cards) => [
+  '#separator:Comma',
+  '#html:true',
+  '#columns:Anverso,Reverso,Mazo,Etiquetas',
+  '#deck column:3',
+  '#tags column:4',
+  ...cards.map(card => [
+    toAnkiField(card.front),
+    toAnkiField(card.back),
+    toDeckName(card.deckName),
+    card.source === 'exam' ? 'tutor examen' : 'tutor material'
+  ].map(csvField).join(','))
+].join('\n');
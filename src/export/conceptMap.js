@@ -0,0 +1,76 @@
+import { LINE_HEIGHT, NODE_FONT_SIZE, edgeGeometry } from '../conceptMaps/layout.js';
+
+// =====================================
+// EXPORTAR MAPAS CONCEPTUALES (SVG y PNG)
+// =====================================
+// El SVG es autónomo (estilos en línea y fondo blanco) para abrirlo en
+// cualquier visor; el PNG se obtiene dibujando ese SVG en un canvas.
+
+const PNG_SCALE = 2;
+
+// Colores por distancia al concepto central: central, primer anillo y resto
+export const CONCEPT_MAP_COLORS = [
+  { fill: '#2563eb', stroke: '#1d4ed8', text: '#ffffff' },
+  { fill: '#dbeafe', stroke: '#3b82f6', text: '#1e3a8a' },
+  { fill: '#ffffff', stroke: '#94a3b8', text: '#1f2937' }
+];
+
+export const nodeColors = (depth) => CONCEPT_MAP_COLORS[Math.min(depth, CONCEPT_MAP_COLORS.length - 1)];
+
+const escapeXml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const svgNode = (node) => {
+  const colors = nodeColors(node.depth);
+  const firstLineY = node.y - ((node.lines.length - 1) * LINE_HEIGHT) / 2;
+  const text = node.lines
+    .map((line, index) => `<tspan x="${node.x}" y="${firstLineY + index * LINE_HEIGHT}">${escapeXml(line)}</tspan>`)
+    .join('');
+  return `<rect x="${node.x - node.width / 2}" y="${node.y - node.height / 2}" width="${node.width}" height="${node.height}" rx="10" fill="${colors.fill}" stroke="${colors.stroke}" stroke-width="1.5"/>` +
+    `<text fill="${colors.text}" font-size="${NODE_FONT_SIZE}" font-weight="${node.depth === 0 ? 700 : 500}" text-anchor="middle" dominant-baseline="middle">${text}</text>`;
+};
+
+const svgEdge = (layout, edge) => {
+  const { start, end, middle } = edgeGeometry(layout, edge);
+  const label = edge.label
+    ? `<text x="${middle.x}" y="${middle.y}" font-size="11" fill="#475569" text-anchor="middle" dominant-baseline="middle" stroke="#ffffff" stroke-width="4" paint-order="stroke">${escapeXml(edge.label)}</text>`
+    : '';
+  return `<line x1="${start.x}" y1="${start.y}" x2="${end.x}" y2="${end.y}" stroke="#94a3b8" stroke-width="1.5" marker-end="url(#flecha)"/>${label}`;
+};
+
+// map: { title, nodes, edges }; layout: resultado de layoutConceptMap
+export const conceptMapToSvg = (map, layout) => {
+  const { x, y, width, height } = layout.bounds;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${Math.ceil(width)}" height="${Math.ceil(height)}" viewBox="${x} ${y} ${width} ${height}" font-family="system-ui, -apple-system, 'Segoe UI', sans-serif">
+<title>${escapeXml(map.title)}</title>
+<defs><marker id="flecha" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse"><path d="M 0 0 L 10 5 L 0 10 z" fill="#94a3b8"/></marker></defs>
+<rect x="${x}" y="${y}" width="${width}" height="${height}" fill="#ffffff"/>
+${map.edges.map(edge => svgEdge(layout, edge)).join('\n')}
+${Object.values(layout.nodes).map(svgNode).join('\n')}
+</svg>`;
+};
+
+// Dibuja el SVG en un canvas al doble de resolución y devuelve el PNG (Blob)
+export const svgToPng = async (svg, { width, height }) => {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml;charset=utf-8' }));
+  try {
+    const image = new Image();
+    image.src = url;
+    await image.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.ceil(width * PNG_SCALE);
+    canvas.height = Math.ceil(height * PNG_SCALE);
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+    return await new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("No se pudo crear la imagen del mapa."))), 'image/png');
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
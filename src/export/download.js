@@ -0,0 +1,25 @@
+// =====================================
+// DESCARGA DE ARCHIVOS
+// =====================================
+
+// "Tema 3: Células" -> "Tema 3 Células", válido en cualquier sistema
+export const toFileName = (name, extension) => {
+  const base = (name || 'export')
+    .replace(/[\\/:*?"<>|]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 80) || 'export';
+  return `${base}.${extension}`;
+};
+
+export const downloadFile = (fileName, content, mimeType) => {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Algunos navegadores leen el blob después del clic
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
@@ -0,0 +1,83 @@
+import { getQuestionType, getRubricPoints } from '../exams/questionTypes.js';
+
+// =====================================
+// EXAMEN IMPRIMIBLE Y SOLUCIONARIO
+// =====================================
+// Cada pregunta se convierte en markdown por separado para que la vista de
+// impresión no la corte entre páginas. El solucionario va aparte para poder
+// repartir el examen en papel sin las respuestas.
+
+const letter = (index) => String.fromCharCode(65 + index);
+
+const BLANK = '\\_'.repeat(12);
+const answerLines = (count) => Array.from({ length: count }, () => '\\_'.repeat(60)).join('\n\n');
+
+// Una barra vertical dentro de una celda cerraría la columna
+const tableCell = (text) => text.replace(/\|/g, '\\|').replace(/\n+/g, ' ');
+
+// Orden en que se imprime la columna derecha de "relacionar"
+const rightOrderOf = (q) => q.rightOrder || q.pairs.map((_, index) => index);
+
+const SHEET_FORMATTERS = {
+  single: (q) => `*Marca una sola respuesta.*\n\n${q.options.map((option, index) => `☐ ${letter(index)}. ${option}`).join('\\\n')}`,
+  multiple: (q) => `*Marca todas las respuestas correctas.*\n\n${q.options.map((option, index) => `☐ ${letter(index)}. ${option}`).join('\\\n')}`,
+  truefalse: () => '☐ Verdadero  ☐ Falso',
+  fill: () => '',
+  matching: (q) => {
+    const order = rightOrderOf(q);
+    const rows = q.pairs.map((pair, index) => `| ${index + 1}. ${tableCell(pair.left)} | ${letter(index)}. ${tableCell(q.pairs[order[index]].right)} |`);
+    return [
+      '*Relaciona cada concepto con su pareja.*',
+      ['| Concepto | Pareja |', '| --- | --- |', ...rows].join('\n'),
+      q.pairs.map((_, index) => `${index + 1} → ${'\\_'.repeat(4)}`).join('    ')
+    ].join('\n\n');
+  },
+  short: () => answerLines(3),
+  essay: () => answerLines(10)
+};
+
+export const formatQuestionSheet = (q, qIndex) => {
+  // En "completar" el hueco ___ se imprime como una línea para escribir
+  const statement = q.type === 'fill' ? q.question.replace(/_{3,}/g, BLANK) : q.question;
+  const body = (SHEET_FORMATTERS[q.type] || SHEET_FORMATTERS.single)(q);
+  return [`**${qIndex + 1}.** ${statement}`, body].filter(Boolean).join('\n\n');
+};
+
+const formatRubric = (q) => [
+  `**Rúbrica (${getRubricPoints(q)} puntos):**`,
+  q.rubric.map(item => `- ${item.criterion} (${item.points} ${item.points === 1 ? 'punto' : 'puntos'})`).join('\n'),
+  `**Conceptos clave:** ${q.keywords.join(', ')}`
+].join('\n\n');
+
+const KEY_FORMATTERS = {
+  single: (q) => `${letter(q.correctAnswerIndex)}. ${q.options[q.correctAnswerIndex]}`,
+  fill: (q) => [q.correctAnswer, ...(q.acceptedAnswers || [])].filter(Boolean).join(' / '),
+  matching: (q) => {
+    const order = rightOrderOf(q);
+    return q.pairs.map((pair, index) => `${index + 1} → ${letter(order.indexOf(index))} (${pair.left} → ${pair.right})`).join('; ');
+  }
+};
+
+export const formatQuestionKey = (q, qIndex) => {
+  const type = getQuestionType(q);
+  const correct = (KEY_FORMATTERS[q.type || 'single'] || type.formatCorrect)(q);
+  return [
+    `**${qIndex + 1}.** ${type.open ? '*Respuesta modelo:* ' : ''}${correct}`,
+    ...(type.open && Array.isArray(q.rubric) ? [formatRubric(q)] : []),
+    `**Explicación:** ${q.explanation}`
+  ].join('\n\n');
+};
+
+export const examSheetHeader = (exam) =>
+  `# ${exam.title}\n\n**Nombre:** ${'\\_'.repeat(30)}  **Fecha:** ${'\\_'.repeat(12)}  **Nota:** ${'\\_'.repeat(6)}`;
+
+export const answerKeyHeader = (exam) => `# Solucionario: ${exam.title}`;
+
+// Examen y solucionario en un solo archivo .md
+export const examToMarkdown = (exam) => [
+  examSheetHeader(exam),
+  ...exam.questions.map(formatQuestionSheet),
+  '---',
+  answerKeyHeader(exam).replace(/^# /, '## '),
+  ...exam.questions.map(formatQuestionKey)
+].join('\n\n');
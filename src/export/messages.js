@@ -0,0 +1,22 @@
+// =====================================
+// EXPORTAR MENSAJES DEL CHAT
+// =====================================
+
+// Texto del mensaje seguido de los fragmentos del material que cita
+export const messageToMarkdown = (message, title) => {
+  const sources = (message.sources || []).map(source =>
+    `**${source.label}**\n\n${source.text.split('\n').map(line => `> ${line}`).join('\n')}`);
+
+  return [
+    ...(title ? [`# ${title}`] : []),
+    message.text,
+    ...(sources.length > 0 ? ['## Fuentes', ...sources] : [])
+  ].join('\n\n');
+};
+
+// Título del archivo a partir de la primera línea con texto: "## Resumen" -> "Resumen"
+export const messageTitle = (message, fallback) => {
+  const firstLine = (message.text || '').split('\n').find(line => line.trim()) || '';
+  const title = firstLine.replace(/^[#>*\-\s]+|[*_`]+/g, '').trim();
+  return title.slice(0, 60) || fallback;
+};
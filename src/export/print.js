@@ -0,0 +1,80 @@
+import { flushSync } from 'react-dom';
+import { createRoot } from 'react-dom/client';
+
+// =====================================
+// IMPRESIÓN Y PDF
+// =====================================
+// Se renderiza el documento en un iframe oculto y se abre el diálogo de
+// impresión del navegador, desde el que se puede guardar como PDF. Así las
+// fórmulas (KaTeX) y el código salen igual que en la app.
+
+const PRINT_STYLES = `
+  :root { color-scheme: light; color: #111; background: #fff; }
+  body { display: block; min-height: 0; margin: 0; padding: 0 8mm; font: 11pt/1.5 Georgia, 'Times New Roman', serif; color: #111; background: #fff; }
+  h1 { font-size: 18pt; line-height: 1.2; margin: 0 0 4mm; }
+  h2 { font-size: 14pt; margin: 6mm 0 2mm; }
+  h3 { font-size: 12pt; margin: 5mm 0 2mm; break-after: avoid; }
+  p, li { orphans: 3; widows: 3; }
+  a { color: inherit; text-decoration: underline; }
+  button { all: unset; }
+  table { border-collapse: collapse; margin: 2mm 0; }
+  th, td { border: 1px solid #999; padding: 1mm 3mm; text-align: left; vertical-align: top; }
+  pre { white-space: pre-wrap; padding: 3mm; border-radius: 2mm; }
+  blockquote { margin: 2mm 0; padding-left: 4mm; border-left: 2px solid #999; }
+  hr { border: 0; border-top: 1px solid #999; margin: 5mm 0; }
+  .print-question { break-inside: avoid; }
+  @page { margin: 15mm 12mm; }
+`;
+
+// Copia las hojas de estilo de la app (KaTeX, resaltado de código); las
+// reglas propias de impresión van después y tienen prioridad
+const copyStyles = (doc) => {
+  const loads = [...document.querySelectorAll('style, link[rel="stylesheet"]')].map(node => {
+    const copy = doc.importNode(node, true);
+    doc.head.appendChild(copy);
+    if (copy.tagName !== 'LINK') return null;
+    return new Promise(resolve => {
+      copy.onload = resolve;
+      copy.onerror = resolve;
+    });
+  });
+
+  const style = doc.createElement('style');
+  style.textContent = PRINT_STYLES;
+  doc.head.appendChild(style);
+  return Promise.all(loads);
+};
+
+// element: elemento de React con el contenido; title: nombre sugerido del PDF
+export const printElement = async (element, title) => {
+  const iframe = document.createElement('iframe');
+  iframe.setAttribute('aria-hidden', 'true');
+  iframe.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;';
+  document.body.appendChild(iframe);
+
+  const doc = iframe.contentDocument;
+  doc.open();
+  doc.write('<!DOCTYPE html><html lang="es"><head><meta charset="utf-8"></head><body></body></html>');
+  doc.close();
+  doc.title = title;
+
+  const root = createRoot(doc.body.appendChild(doc.createElement('main')));
+  try {
+    await copyStyles(doc);
+    flushSync(() => root.render(element));
+    await doc.fonts?.ready;
+  } catch (error) {
+    root.unmount();
+    iframe.remove();
+    throw error;
+  }
+
+  const cleanup = () => {
+    root.unmount();
+    iframe.remove();
+  };
+  // print() bloquea en la mayoría de navegadores, pero no en todos
+  iframe.contentWindow.addEventListener('afterprint', () => setTimeout(cleanup, 0), { once: true });
+  iframe.contentWindow.focus();
+  iframe.contentWindow.print();
+};
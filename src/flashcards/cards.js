@@ -0,0 +1,69 @@
+import { getQuestionType } from '../exams/questionTypes.js';
+import { initialSchedule } from './scheduler.js';
+import { MATH_FORMAT_INSTRUCTION } from '../rendering/math.js';
+
+// =====================================
+// TARJETAS DE MEMORIA
+// =====================================
+// Las tarjetas salen del material (generadas por la IA) o de las preguntas
+// falladas en un examen.
+
+export const FLASHCARD_LIMITS = { min: 5, max: 40 };
+
+export const flashcardSchema = {
+  type: "object",
+  properties: {
+    cards: {
+      type: "array",
+      description: "Tarjetas de memoria",
+      items: {
+        type: "object",
+        properties: {
+          front: { type: "string", description: "Pregunta o concepto a recordar" },
+          back: { type: "string", description: "Respuesta breve y precisa" }
+        },
+        required: ["front", "back"]
+      },
+      minItems: FLASHCARD_LIMITS.min,
+      maxItems: FLASHCARD_LIMITS.max
+    }
+  },
+  required: ["cards"]
+};
+
+export const FLASHCARD_PROMPT = `Crea entre ${FLASHCARD_LIMITS.min} y ${FLASHCARD_LIMITS.max} tarjetas de memoria basadas estrictamente en el material, una por cada idea, definición, dato o relación importante. El anverso ("front") debe ser una pregunta concreta que obligue a recordar (no de sí o no) y el reverso ("back") una respuesta breve, de una o dos frases. No repitas tarjetas. ${MATH_FORMAT_INSTRUCTION} Dentro del JSON escapa las barras invertidas (\\\\frac, \\\\ce).`;
+
+const createCard = ({ front, back, source, sessionId, deckName }, now = Date.now()) => ({
+  id: crypto.randomUUID(),
+  front: front.trim(),
+  back: back.trim(),
+  source,
+  sessionId: sessionId || null,
+  deckName: deckName || 'Sin sesión',
+  createdAt: now,
+  ...initialSchedule(now)
+});
+
+// meta: { sessionId, deckName }
+export const cardsFromResponse = (response, meta) => {
+  const cards = (Array.isArray(response?.cards) ? response.cards : [])
+    .filter(card => typeof card?.front === 'string' && card.front.trim() &&
+      typeof card?.back === 'string' && card.back.trim());
+
+  if (cards.length === 0) {
+    throw new Error("La IA no devolvió tarjetas válidas. Intenta de nuevo.");
+  }
+
+  return cards.map(card => createCard({ ...card, source: 'material', ...meta }));
+};
+
+// Convierte una pregunta fallada del examen en tarjeta
+export const cardFromQuestion = (q, meta) => {
+  const type = getQuestionType(q);
+  const front = q.type === 'truefalse'
+    ? `¿Verdadero o falso? ${q.question}`
+    : q.question;
+  const back = `${type.formatCorrect(q)}\n\n${q.explanation}`;
+
+  return createCard({ front, back, source: 'exam', ...meta });
+};
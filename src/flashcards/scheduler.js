@@ -0,0 +1,99 @@
+// =====================================
+// REPASO ESPACIADO (SM-2)
+// =====================================
+// Variante de SM-2 con cuatro respuestas, como en Anki. Los intervalos se
+// guardan en días; "otra vez" devuelve la tarjeta a la cola en unos minutos.
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const INITIAL_EASE = 2.5;
+const MIN_EASE = 1.3;
+const RELEARN_DELAY = 10 * MINUTE;
+
+export const GRADES = {
+  again: { label: 'Otra vez', color: 'bg-red-600 hover:bg-red-700' },
+  hard: { label: 'Difícil', color: 'bg-yellow-600 hover:bg-yellow-700' },
+  good: { label: 'Bien', color: 'bg-green-600 hover:bg-green-700' },
+  easy: { label: 'Fácil', color: 'bg-blue-600 hover:bg-blue-700' }
+};
+
+// Estado de repaso de una tarjeta nueva: vence de inmediato
+export const initialSchedule = (now = Date.now()) => ({
+  due: now,
+  interval: 0,
+  ease: INITIAL_EASE,
+  reps: 0,
+  lapses: 0,
+  lastReviewedAt: null
+});
+
+const nextInterval = (card, grade) => {
+  const { interval, ease, reps } = card;
+  switch (grade) {
+    case 'hard':
+      return reps === 0 ? 1 : Math.max(interval + 1, Math.round(interval * 1.2));
+    case 'good':
+      return reps === 0 ? 1 : reps === 1 ? 3 : Math.max(interval + 1, Math.round(interval * ease));
+    case 'easy':
+      return reps === 0 ? 4 : Math.max(interval + 1, Math.round(interval * ease * 1.3));
+    default:
+      return 0;
+  }
+};
+
+const EASE_CHANGE = { again: -0.2, hard: -0.15, good: 0, easy: 0.15 };
+
+// Devuelve la tarjeta con su próximo repaso según la respuesta del alumno
+export const scheduleCard = (card, grade, now = Date.now()) => {
+  if (!GRADES[grade]) {
+    throw new Error(`Respuesta de repaso desconocida: ${grade}`);
+  }
+
+  const ease = Math.max(MIN_EASE, card.ease + EASE_CHANGE[grade]);
+
+  if (grade === 'again') {
+    return {
+      ...card,
+      ease,
+      interval: 0,
+      reps: 0,
+      lapses: card.reps > 0 ? card.lapses + 1 : card.lapses,
+      due: now + RELEARN_DELAY,
+      lastReviewedAt: now
+    };
+  }
+
+  const interval = nextInterval(card, grade);
+  return {
+    ...card,
+    ease,
+    interval,
+    reps: card.reps + 1,
+    due: now + interval * DAY,
+    lastReviewedAt: now
+  };
+};
+
+// Fin del día local: la cola diaria incluye todo lo que vence hoy
+export const endOfToday = (now = Date.now()) => {
+  const date = new Date(now);
+  date.setHours(23, 59, 59, 999);
+  return date.getTime();
+};
+
+export const isDueToday = (card, now = Date.now()) => card.due <= endOfToday(now);
+
+export const formatInterval = (card, now = Date.now()) => {
+  const ms = card.due - now;
+  if (ms < DAY) return `${Math.max(1, Math.round(ms / MINUTE))} min`;
+  const days = Math.round(ms / DAY);
+  if (days < 30) return `${days} d`;
+  if (days < 365) return `${Math.round(days / 30)} m`;
+  return `${(days / 365).toFixed(1).replace('.', ',')} a`;
+};
+
+// Intervalo que resultaría de cada respuesta, para mostrarlo en los botones
+export const previewIntervals = (card, now = Date.now()) => Object.fromEntries(
+  Object.keys(GRADES).map(grade => [grade, formatInterval(scheduleCard(card, grade, now), now)])
+);
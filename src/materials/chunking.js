@@ -0,0 +1,104 @@
+import { estimateTokens } from '../api/conversation.js';
+
+// =====================================
+// DIVISIÓN DEL MATERIAL EN SECCIONES
+// =====================================
+
+export const CHUNK_TOKEN_BUDGET = 3000;
+
+const PAGE_HEADER = /^--- Página (\d+) ---$/;
+const MATERIAL_HEADER = /^=== Material: (.+) ===$/;
+
+export const formatMaterialHeader = (name) => `=== Material: ${name} ===`;
+
+// Parte un párrafo demasiado largo por frases y, si hace falta, por caracteres
+const splitLongParagraph = (paragraph, maxChars) => {
+  const sentences = paragraph.match(/[^.!?]+[.!?]+["»)]*\s*|[^.!?]+$/g) || [paragraph];
+  const pieces = [];
+  let current = '';
+
+  sentences.forEach(sentence => {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    while (sentence.length > maxChars) {
+      pieces.push(sentence.substring(0, maxChars));
+      sentence = sentence.substring(maxChars);
+    }
+    current += sentence;
+  });
+
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+};
+
+// Divide el texto en secciones de como mucho maxTokens, sin cortar párrafos
+// cuando es posible ni mezclar materiales distintos. Cada sección recuerda
+// su material y el rango de páginas que cubre.
+// Devuelve [{ index, text, material: nombre | null, pages: [primera, última] | null }]
+export const splitIntoChunks = (text, maxTokens = CHUNK_TOKEN_BUDGET) => {
+  const maxChars = maxTokens * 4;
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+  let currentPages = null;
+  let page = null;
+  let material = null;
+
+  const flush = () => {
+    if (current.length === 0) return;
+    chunks.push({ index: chunks.length, text: current.join('\n\n'), material, pages: currentPages });
+    current = [];
+    currentTokens = 0;
+    currentPages = null;
+  };
+
+  const addPiece = (piece) => {
+    const tokens = estimateTokens(piece);
+    if (currentTokens + tokens > maxTokens) flush();
+    current.push(piece);
+    currentTokens += tokens;
+    if (page !== null) {
+      currentPages = currentPages ? [currentPages[0], page] : [page, page];
+    }
+  };
+
+  text.split(/\n\s*\n/).forEach(block => {
+    const lines = block.trim().split('\n');
+
+    const materialHeader = lines[0]?.match(MATERIAL_HEADER);
+    if (materialHeader) {
+      flush();
+      material = materialHeader[1];
+      page = null;
+      lines.shift();
+    }
+
+    const pageHeader = lines[0]?.match(PAGE_HEADER);
+    if (pageHeader) {
+      page = Number(pageHeader[1]);
+      lines.shift();
+    }
+
+    const paragraph = lines.join('\n').trim();
+    if (!paragraph) return;
+
+    const pieces = paragraph.length > maxChars ? splitLongParagraph(paragraph, maxChars) : [paragraph];
+    pieces.forEach(addPiece);
+  });
+
+  flush();
+  return chunks;
+};
+
+// "Tema 3.pdf, págs. 4-6", o la parte disponible de esa descripción
+export const describeChunkSource = (chunk) => {
+  const parts = [];
+  if (chunk.material) parts.push(chunk.material);
+  if (chunk.pages) {
+    const [first, last] = chunk.pages;
+    parts.push(first === last ? `pág. ${first}` : `págs. ${first}-${last}`);
+  }
+  return parts.join(', ');
+};
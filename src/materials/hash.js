@@ -0,0 +1,10 @@
+// =====================================
+// HUELLA DEL CONTENIDO
+// =====================================
+
+// SHA-256 en hexadecimal: identifica un material por su contenido
+export const hashText = async (text) => {
+  const bytes = new TextEncoder().encode(text);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
@@ -0,0 +1,50 @@
+import { formatMaterialHeader } from './chunking.js';
+import { searchIndex } from './search.js';
+
+// =====================================
+// BIBLIOTECA DE MATERIALES DE LA SESIÓN
+// =====================================
+
+export const createMaterialId = () => crypto.randomUUID();
+
+// Une los materiales elegidos en uno solo para los modos de estudio y el chat.
+// Con uno solo se devuelve tal cual (conserva sus páginas); con varios, cada
+// texto va precedido de una cabecera con su nombre.
+export const combineMaterials = (materials) => {
+  if (materials.length === 0) return null;
+  if (materials.length === 1) return materials[0];
+
+  return {
+    name: materials.map(material => material.name).join(', '),
+    text: materials
+      .map(material => `${formatMaterialHeader(material.name)}\n\n${material.text}`)
+      .join('\n\n'),
+    textSource: 'combined'
+  };
+};
+
+// Busca en los índices de los materiales elegidos y mezcla los mejores pasajes.
+// Con varios materiales, la etiqueta de cada cita incluye el nombre del archivo.
+export const searchMaterials = (indexes, materials, query, k = 5) => {
+  const withName = materials.length > 1;
+
+  return materials
+    .filter(material => indexes[material.id])
+    .flatMap(material => searchIndex(indexes[material.id], query, k).map(passage => ({
+      ...passage,
+      id: `${material.id}:${passage.id}`,
+      materialName: material.name,
+      label: withName ? `${material.name}, ${passage.label}` : passage.label
+    })))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k);
+};
+
+// Las sesiones guardadas antes de admitir varios materiales tenían "material"
+export const migrateSessionMaterials = (session) => {
+  if (session.materials) return session;
+
+  const { material, ...rest } = session;
+  const materials = material ? [{ id: createMaterialId(), ...material }] : [];
+  return { ...rest, materials, selectedMaterialIds: materials.map(m => m.id) };
+};
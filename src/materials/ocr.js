@@ -0,0 +1,52 @@
+import { createWorker } from 'tesseract.js';
+
+// =====================================
+// OCR DE IMÁGENES (Tesseract WASM)
+// =====================================
+
+// Paquetes de idioma: español e inglés. Se descargan y cachean en el
+// navegador la primera vez que se usa el OCR.
+const OCR_LANGUAGES = ['spa', 'eng'];
+
+// Palabras por debajo de esta confianza se señalan para revisión
+export const LOW_CONFIDENCE_THRESHOLD = 60;
+
+const collectWords = (blocks) => (blocks || []).flatMap(block =>
+  block.paragraphs.flatMap(paragraph =>
+    paragraph.lines.flatMap(line => line.words)
+  )
+);
+
+// Devuelve { text, confidence (0-100), lowConfidenceWords }
+export const recognizeImage = async (image, onProgress) => {
+  const worker = await createWorker(OCR_LANGUAGES, undefined, {
+    logger: (message) => {
+      if (message.status === 'recognizing text') {
+        onProgress?.(message.progress);
+      }
+    }
+  });
+
+  try {
+    const { data } = await worker.recognize(image, {}, { text: true, blocks: true });
+    const text = data.text.replace(/\n{3,}/g, '\n\n').trim();
+
+    if (!text) {
+      throw new Error("No se reconoció texto en la imagen. Prueba con una foto más nítida y bien iluminada.");
+    }
+
+    const lowConfidenceWords = [...new Set(
+      collectWords(data.blocks)
+        .filter(word => word.confidence < LOW_CONFIDENCE_THRESHOLD && word.text.trim())
+        .map(word => word.text)
+    )];
+
+    return {
+      text,
+      confidence: Math.round(data.confidence),
+      lowConfidenceWords
+    };
+  } finally {
+    await worker.terminate();
+  }
+};
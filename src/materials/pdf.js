@@ -0,0 +1,64 @@
+import { getDocument, GlobalWorkerOptions } from 'pdfjs-dist';
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+// =====================================
+// EXTRACCIÓN DE TEXTO DE PDF
+// =====================================
+
+// El análisis se hace en un worker para no bloquear la interfaz
+GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+// Por debajo de esta media de caracteres por página se considera que
+// el PDF es escaneado (solo imágenes) o está vacío.
+const MIN_CHARS_PER_PAGE = 20;
+
+export const formatPageHeader = (pageNumber) => `--- Página ${pageNumber} ---`;
+
+const pageToText = (textContent) => textContent.items
+  .map(item => (item.str || '') + (item.hasEOL ? '\n' : ''))
+  .join('')
+  .replace(/[ \t]+\n/g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// Devuelve { pages: [{ number, text }], text } conservando los números de página
+export const extractPdfText = async (arrayBuffer, onProgress) => {
+  let pdf;
+  try {
+    pdf = await getDocument({ data: new Uint8Array(arrayBuffer) }).promise;
+  } catch (error) {
+    if (error?.name === 'PasswordException') {
+      throw new Error("El PDF está protegido con contraseña. Quita la protección e inténtalo de nuevo.");
+    }
+    throw new Error("No se pudo leer el PDF. Puede que el archivo esté dañado.");
+  }
+
+  try {
+    const pages = [];
+
+    for (let number = 1; number <= pdf.numPages; number++) {
+      const page = await pdf.getPage(number);
+      const textContent = await page.getTextContent();
+      pages.push({ number, text: pageToText(textContent) });
+      page.cleanup();
+      onProgress?.(number, pdf.numPages);
+    }
+
+    const totalChars = pages.reduce((sum, page) => sum + page.text.replace(/\s/g, '').length, 0);
+    if (totalChars === 0) {
+      throw new Error("El PDF no contiene texto. Si es un documento escaneado, súbelo como imagen (JPG/PNG) para reconocer su texto.");
+    }
+    if (totalChars / pages.length < MIN_CHARS_PER_PAGE) {
+      throw new Error("El PDF apenas contiene texto seleccionable; parece escaneado. Súbelo como imagen (JPG/PNG) para reconocer su texto.");
+    }
+
+    const text = pages
+      .filter(page => page.text)
+      .map(page => `${formatPageHeader(page.number)}\n${page.text}`)
+      .join('\n\n');
+
+    return { pages, text };
+  } finally {
+    pdf.destroy();
+  }
+};
@@ -0,0 +1,160 @@
+import { dbDelete, dbGet, dbPut, STORES } from '../storage/db.js';
+import { hashText } from './hash.js';
+
+// =====================================
+// BÚSQUEDA DE PASAJES (BM25)
+// =====================================
+
+// Cambia la versión si cambia el formato del índice guardado
+const INDEX_VERSION = 1;
+const MAX_PASSAGE_CHARS = 1200;
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+const STOPWORDS = new Set([
+  // Español
+  'a', 'al', 'ante', 'como', 'con', 'cual', 'cuando', 'de', 'del', 'desde', 'donde', 'el', 'ella', 'ellos', 'en', 'entre',
+  'era', 'es', 'esa', 'ese', 'eso', 'esta', 'este', 'esto', 'fue', 'ha', 'hay', 'la', 'las', 'le', 'les', 'lo', 'los',
+  'mas', 'me', 'mi', 'muy', 'no', 'nos', 'o', 'para', 'pero', 'por', 'que', 'se', 'ser', 'si', 'sin', 'sobre',
+  'son', 'su', 'sus', 'tambien', 'te', 'tiene', 'un', 'una', 'uno', 'unos', 'unas', 'y', 'ya', 'yo',
+  // Inglés
+  'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it', 'of', 'on', 'or', 'that', 'the', 'this',
+  'to', 'was', 'were', 'what', 'which', 'with'
+]);
+
+// Minúsculas, sin tildes, sin palabras vacías y con un plural básico eliminado
+export const tokenize = (text) => text
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .split(/[^a-z0-9ñ]+/)
+  .filter(token => token.length > 1 && !STOPWORDS.has(token))
+  .map(token => (token.length > 4 && token.endsWith('es') ? token.slice(0, -2)
+    : token.length > 3 && token.endsWith('s') ? token.slice(0, -1)
+    : token));
+
+// Los párrafos muy largos se parten por frases; cada trozo cuenta como párrafo
+const splitParagraph = (paragraph) => {
+  if (paragraph.length <= MAX_PASSAGE_CHARS) return [paragraph];
+
+  const sentences = paragraph.match(/[^.!?]+[.!?]+\s*|[^.!?]+$/g) || [paragraph];
+  const pieces = [];
+  let current = '';
+  sentences.forEach(sentence => {
+    if (current && current.length + sentence.length > MAX_PASSAGE_CHARS * 0.7) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    current += sentence;
+  });
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+};
+
+export const formatCitation = (passage) => passage.page
+  ? `pág. ${passage.page}, párrafo ${passage.paragraph}`
+  : `párrafo ${passage.paragraph}`;
+
+// Divide el material en pasajes numerados por página y párrafo
+export const splitIntoPassages = (material) => {
+  const pages = material.pages?.length
+    ? material.pages
+    : [{ number: null, text: material.text }];
+
+  return pages.flatMap(page => page.text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.replace(/\s*\n\s*/g, ' ').trim())
+    .filter(Boolean)
+    .flatMap(splitParagraph)
+    .map((text, i) => ({ page: page.number, paragraph: i + 1, text }))
+  ).map((passage, id) => ({ id, ...passage, label: formatCitation(passage) }));
+};
+
+const countTerms = (tokens) => tokens.reduce((counts, token) => {
+  counts[token] = (counts[token] || 0) + 1;
+  return counts;
+}, {});
+
+export const buildIndex = (material) => {
+  const passages = splitIntoPassages(material);
+  const documents = passages.map(passage => {
+    const tokens = tokenize(passage.text);
+    return { length: tokens.length, terms: countTerms(tokens) };
+  });
+
+  const docFrequency = {};
+  documents.forEach(doc => {
+    Object.keys(doc.terms).forEach(term => {
+      docFrequency[term] = (docFrequency[term] || 0) + 1;
+    });
+  });
+
+  const totalLength = documents.reduce((sum, doc) => sum + doc.length, 0);
+
+  return {
+    version: INDEX_VERSION,
+    passages,
+    documents,
+    docFrequency,
+    avgLength: documents.length ? totalLength / documents.length : 0
+  };
+};
+
+// Devuelve los k pasajes más relevantes para la consulta, de mayor a menor
+export const searchIndex = (index, query, k = 5) => {
+  const queryTerms = [...new Set(tokenize(query))];
+  const total = index.documents.length;
+  if (queryTerms.length === 0 || total === 0) return [];
+
+  return index.documents
+    .map((doc, id) => {
+      const score = queryTerms.reduce((sum, term) => {
+        const frequency = doc.terms[term];
+        if (!frequency) return sum;
+        const df = index.docFrequency[term];
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        const norm = frequency + BM25_K1 * (1 - BM25_B + BM25_B * (doc.length / (index.avgLength || 1)));
+        return sum + idf * (frequency * (BM25_K1 + 1)) / norm;
+      }, 0);
+      return { id, score };
+    })
+    .filter(result => result.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, k)
+    .map(result => ({ ...index.passages[result.id], score: result.score }));
+};
+
+// Recupera el índice guardado para este contenido o lo construye y lo guarda.
+// Si IndexedDB no está disponible se usa solo en memoria.
+const indexId = async (material) => `${INDEX_VERSION}:${await hashText(material.text)}`;
+
+export const loadMaterialIndex = async (material) => {
+  const id = await indexId(material);
+
+  try {
+    const stored = await dbGet(STORES.searchIndexes, id);
+    if (stored) return stored.index;
+  } catch (error) {
+    console.error("No se pudo leer el índice guardado:", error);
+  }
+
+  const index = buildIndex(material);
+
+  try {
+    await dbPut(STORES.searchIndexes, { id, index, createdAt: Date.now() });
+  } catch (error) {
+    console.error("No se pudo guardar el índice:", error);
+  }
+
+  return index;
+};
+
+// Borra los índices guardados de estos materiales. El índice va por contenido,
+// así que se conserva el de los que tengan el mismo texto que uno de keptMaterials.
+export const deleteMaterialIndexes = async (materials, keptMaterials = []) => {
+  const kept = new Set(await Promise.all(keptMaterials.map(indexId)));
+  const ids = new Set(await Promise.all(materials.map(indexId)));
+  await Promise.all([...ids]
+    .filter(id => !kept.has(id))
+    .map(id => dbDelete(STORES.searchIndexes, id)));
+};
@@ -0,0 +1,76 @@
+// =====================================
+// FÓRMULAS (KaTeX + mhchem)
+// =====================================
+// El renderizador entiende $...$ (en línea) y $$...$$ (bloque). Aquí se
+// normaliza lo que el modelo escribe de otras formas antes de pasarlo a markdown.
+
+// Instrucción común para los prompts: es la sintaxis que sabe mostrar la app
+export const MATH_FORMAT_INSTRUCTION = "Escribe las fórmulas matemáticas en LaTeX entre $...$ (en línea) o $$...$$ (en bloque) y las fórmulas y reacciones químicas con \\ce{...} dentro de $...$, por ejemplo $\\ce{H2SO4}$.";
+
+// En respuestas JSON, "\frac" o "\theta" sin escapar llegan como caracteres de
+// control (\f, \t...). \f, \b y \v nunca aparecen en texto normal; el tabulador
+// y el retorno de carro solo se recuperan si completan un comando LaTeX conocido
+// (\theta, \times, \rho, \right...).
+const repairJsonEscapes = (text) => text
+  .replace(/\f/g, '\\f')
+  .replaceAll('\b', '\\b')
+  .replace(/\v/g, '\\v')
+  .replace(/\t(?=(heta|imes|ext|au|an|ilde|o\b|riangle|op)\b)/g, '\\t')
+  .replace(/\r(?=(ho|ight|angle|ceil|floor)\b)/g, '\\r');
+
+// \( ... \) y \[ ... \] pasan a $ ... $ y $$ ... $$
+const convertDelimiters = (text) => text
+  .replace(/\\\[([\s\S]+?)\\\]/g, (_, formula) => `\n$$\n${formula.trim()}\n$$\n`)
+  .replace(/\\\(([\s\S]+?)\\\)/g, (_, formula) => `$${formula}$`);
+
+// Un $$...$$ solo en su línea se muestra como bloque: remark-math solo lo
+// trata así si los delimitadores van en líneas propias
+const expandDisplayMath = (text) => text
+  .replace(/^([ \t]*)\$\$(.+?)\$\$[ \t]*$/gm, (_, indent, formula) => `${indent}$$\n${indent}${formula.trim()}\n${indent}$$`);
+
+// Índice de la llave que cierra la que abre en "start"
+const findClosingBrace = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+};
+
+// Envuelve en $...$ los \ce{...} escritos fuera de una fórmula
+const wrapBareChemistry = (text) => {
+  let result = '';
+  let inMath = false;
+  let i = 0;
+
+  while (i < text.length) {
+    if (text[i] === '\\' && text[i + 1] === '$') {
+      result += '\\$';
+      i += 2;
+    } else if (text[i] === '$') {
+      const delimiter = text[i + 1] === '$' ? '$$' : '$';
+      inMath = !inMath;
+      result += delimiter;
+      i += delimiter.length;
+    } else if (!inMath && text.startsWith('\\ce{', i)) {
+      const end = findClosingBrace(text, i + 3);
+      if (end === -1) {
+        result += text.slice(i);
+        break;
+      }
+      result += `$${text.slice(i, end + 1)}$`;
+      i = end + 1;
+    } else {
+      result += text[i];
+      i++;
+    }
+  }
+
+  return result;
+};
+
+export const normalizeMath = (text = '') => {
+  if (!/[\\$\f\t\r\v]/.test(text) && !text.includes('\b')) return text;
+  return wrapBareChemistry(expandDisplayMath(convertDelimiters(repairJsonEscapes(text))));
+};
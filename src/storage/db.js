@@ -0,0 +1,95 @@
+// =====================================
+// ALMACENAMIENTO LOCAL (IndexedDB)
+// =====================================
+
+const DB_NAME = 'tutor-estudio';
+// Sube la versión al añadir un almacén nuevo a STORES
+const DB_VERSION = 5;
+
+// Todos los almacenes usan "id" como clave
+export const STORES = {
+  searchIndexes: 'searchIndexes',
+  sessions: 'sessions',
+  flashcards: 'flashcards',
+  examResults: 'examResults',
+  responseCache: 'responseCache'
+};
+
+let dbPromise = null;
+
+export const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (typeof indexedDB === 'undefined') {
+        reject(new Error("Este navegador no permite guardar datos localmente."));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.values(STORES).forEach(store => {
+          if (!db.objectStoreNames.contains(store)) {
+            db.createObjectStore(store, { keyPath: 'id' });
+          }
+        });
+      };
+
+      // Otra pestaña con una versión anterior abierta impide la actualización
+      let blocked = false;
+      request.onblocked = () => {
+        blocked = true;
+        reject(new Error("Cierra las demás pestañas del tutor y recarga la página para actualizar el almacenamiento local."));
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Se abrió al cerrarse las otras pestañas, pero ya se informó del bloqueo
+        if (blocked) {
+          db.close();
+          return;
+        }
+        // Cede la base de datos a una pestaña con una versión más reciente
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => reject(request.error?.name === 'VersionError'
+        ? new Error("Hay una versión más reciente del tutor abierta en otra pestaña. Recarga la página.")
+        : request.error);
+    }).catch(error => {
+      // Permite reintentar en la siguiente llamada
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = async (store, mode, operation) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, mode);
+    const request = operation(transaction.objectStore(store));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+};
+
+export const dbGet = (store, id) => runRequest(store, 'readonly', s => s.get(id));
+
+export const dbGetAll = (store) => runRequest(store, 'readonly', s => s.getAll());
+
+export const dbPut = (store, value) => runRequest(store, 'readwrite', s => s.put(value));
+
+export const dbDelete = (store, id) => runRequest(store, 'readwrite', s => s.delete(id));
+
+// Guarda varios registros en una sola transacción
+export const dbPutAll = (store, values) => runRequest(store, 'readwrite', s => {
+  values.forEach(value => s.put(value));
+  return { result: values.length };
+});
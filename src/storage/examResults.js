@@ -0,0 +1,14 @@
+import { dbGetAll, dbPut, STORES } from './db.js';
+
+// =====================================
+// HISTORIAL DE EXÁMENES
+// =====================================
+// Un registro por intento, independiente de la sesión, para el panel de
+// progreso. Ver analytics/attempts.js para el formato.
+
+export const saveExamResult = (record) => dbPut(STORES.examResults, record);
+
+export const listExamResults = async () => {
+  const records = await dbGetAll(STORES.examResults);
+  return records.sort((a, b) => a.completedAt - b.completedAt);
+};
@@ -0,0 +1,41 @@
+import { dbDelete, dbGetAll, dbPut, dbPutAll, STORES } from './db.js';
+import { isDueToday } from '../flashcards/scheduler.js';
+
+// =====================================
+// TARJETAS GUARDADAS
+// =====================================
+// Las tarjetas no dependen de la sesión: se repasan todas en una sola cola
+// diaria aunque la sesión de origen se borre.
+
+const normalizeFront = (text) => text.toLowerCase().replace(/\s+/g, ' ').trim();
+
+export const listFlashcards = () => dbGetAll(STORES.flashcards);
+
+// Cola del día ordenada por vencimiento
+export const getDueFlashcards = async (now = Date.now()) => {
+  const cards = await listFlashcards();
+  return cards
+    .filter(card => isDueToday(card, now))
+    .sort((a, b) => a.due - b.due);
+};
+
+// Guarda las tarjetas nuevas, omitiendo las que ya existen con el mismo anverso.
+// Devuelve cuántas se añadieron.
+export const addFlashcards = async (cards) => {
+  const existing = new Set((await listFlashcards()).map(card => normalizeFront(card.front)));
+  const fresh = cards.filter(card => {
+    const key = normalizeFront(card.front);
+    if (existing.has(key)) return false;
+    existing.add(key);
+    return true;
+  });
+
+  if (fresh.length > 0) {
+    await dbPutAll(STORES.flashcards, fresh);
+  }
+  return fresh.length;
+};
+
+export const updateFlashcard = (card) => dbPut(STORES.flashcards, card);
+
+export const deleteFlashcard = (id) => dbDelete(STORES.flashcards, id);
@@ -0,0 +1,38 @@
+import { dbDelete, dbGet, dbGetAll, dbPut, STORES } from './db.js';
+
+// =====================================
+// CACHÉ DE RESPUESTAS
+// =====================================
+// Respuestas de los modos de estudio guardadas por su clave de contenido
+// (ver api/cachedTask.js) para no repetir llamadas de pago idénticas.
+
+export const RESPONSE_CACHE_TTL = 7 * 24 * 60 * 60 * 1000;
+
+const isExpired = (entry, now) => entry.expiresAt <= now;
+
+// Devuelve { value, createdAt } o null si no hay respuesta vigente
+export const getCachedResponse = async (key, now = Date.now()) => {
+  const entry = await dbGet(STORES.responseCache, key);
+  if (!entry) return null;
+
+  if (isExpired(entry, now)) {
+    await dbDelete(STORES.responseCache, key);
+    return null;
+  }
+  return { value: entry.value, createdAt: entry.createdAt };
+};
+
+export const saveCachedResponse = (key, value, now = Date.now()) => dbPut(STORES.responseCache, {
+  id: key,
+  value,
+  createdAt: now,
+  expiresAt: now + RESPONSE_CACHE_TTL
+});
+
+// Borra las respuestas caducadas; se llama al abrir la app
+export const pruneResponseCache = async (now = Date.now()) => {
+  const entries = await dbGetAll(STORES.responseCache);
+  const expired = entries.filter(entry => isExpired(entry, now));
+  await Promise.all(expired.map(entry => dbDelete(STORES.responseCache, entry.id)));
+  return expired.length;
+};
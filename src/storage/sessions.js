@@ -0,0 +1,231 @@
+import { dbDelete, dbGet, dbGetAll, dbPut, STORES } from './db.js';
+import { migrateSessionMaterials } from '../materials/library.js';
+import { deleteMaterialIndexes } from '../materials/search.js';
+import { validateConceptMapResponse } from '../conceptMaps/conceptMap.js';
+
+// =====================================
+// SESIONES DE ESTUDIO
+// =====================================
+// Una sesión guarda sus materiales (y cuáles están seleccionados), la
+// conversación, la memoria del chat y los intentos de examen para poder
+// retomarla otro día.
+
+export const createSession = (name) => {
+  const now = Date.now();
+  return {
+    id: crypto.randomUUID(),
+    name: name || 'Sesión sin título',
+    createdAt: now,
+    updatedAt: now,
+    materials: [],
+    selectedMaterialIds: [],
+    chatHistory: [],
+    memory: { summary: '', summarizedCount: 0 },
+    examAttempts: []
+  };
+};
+
+// Nombre por defecto a partir del archivo: "Tema 3.pdf" -> "Tema 3"
+export const sessionNameFromFile = (fileName) => fileName.replace(/\.[^.]+$/, '');
+
+// Resumen ligero para la barra lateral (sin el material ni el chat)
+const toSummary = (session) => ({
+  id: session.id,
+  name: session.name,
+  createdAt: session.createdAt,
+  updatedAt: session.updatedAt,
+  materialNames: session.materials.map(material => material.name),
+  messageCount: session.chatHistory.filter(message => !message.meta).length,
+  examCount: session.examAttempts.length
+});
+
+export const listSessions = async () => {
+  const sessions = await dbGetAll(STORES.sessions);
+  return sessions
+    .map(migrateSessionMaterials)
+    .map(toSummary)
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+};
+
+export const getSession = async (id) => {
+  const session = await dbGet(STORES.sessions, id);
+  return session && migrateSessionMaterials(session);
+};
+
+export const saveSession = (session) => dbPut(STORES.sessions, { ...session, updatedAt: Date.now() });
+
+// Borra los índices de búsqueda de estos materiales salvo los que sigan en uso
+// en otra sesión guardada o en los materiales abiertos. De la sesión abierta
+// cuentan openMaterials, porque lo guardado puede ir por detrás.
+export const releaseMaterialIndexes = async (materials, { openSessionId, openMaterials = [] } = {}) => {
+  const sessions = await dbGetAll(STORES.sessions);
+  const stored = sessions
+    .filter(session => session.id !== openSessionId)
+    .map(migrateSessionMaterials)
+    .flatMap(session => session.materials);
+  await deleteMaterialIndexes(materials, [...stored, ...openMaterials]);
+};
+
+// Borra la sesión junto con los índices de búsqueda que solo usaban sus materiales
+export const deleteSession = async (id, openWorkspace) => {
+  const session = await getSession(id);
+  await dbDelete(STORES.sessions, id);
+  if (!session) return;
+
+  try {
+    await releaseMaterialIndexes(session.materials, openWorkspace);
+  } catch (error) {
+    // La sesión ya está borrada; un índice huérfano solo ocupa espacio
+    console.error("No se pudieron borrar los índices de la sesión:", error);
+  }
+};
+
+export const renameSession = async (id, name) => {
+  const session = await getSession(id);
+  if (!session) throw new Error("La sesión ya no existe.");
+  await saveSession({ ...session, name });
+};
+
+export const duplicateSession = async (id) => {
+  const session = await getSession(id);
+  if (!session) throw new Error("La sesión ya no existe.");
+
+  const copy = {
+    ...session,
+    id: crypto.randomUUID(),
+    name: `${session.name} (copia)`,
+    createdAt: Date.now()
+  };
+  await saveSession(copy);
+  return copy;
+};
+
+// =====================================
+// EXPORTAR E IMPORTAR SESIONES
+// =====================================
+// El archivo JSON lleva un identificador de formato y su versión para poder
+// rechazar archivos ajenos y migrar los de versiones anteriores.
+
+const SESSION_FILE_FORMAT = 'tutor-estudio/sesion';
+const SESSION_FILE_VERSION = 1;
+// Errores que se muestran antes de resumir el resto
+const MAX_REPORTED_ERRORS = 3;
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+const isOptional = (value, check) => value === undefined || check(value);
+
+const validateMaterial = (material) => {
+  if (!isObject(material)) return ["no es un objeto"];
+
+  const errors = [];
+  if (typeof material.id !== 'string' || !material.id) errors.push("sin id");
+  if (typeof material.name !== 'string') errors.push("sin nombre");
+  if (typeof material.text !== 'string') errors.push("sin texto");
+  if (!isOptional(material.pages, pages => Array.isArray(pages) &&
+    pages.every(page => isObject(page) && typeof page.text === 'string'))) {
+    errors.push("páginas inválidas");
+  }
+  return errors;
+};
+
+const isValidSource = (source) => isObject(source) &&
+  (typeof source.id === 'number' || typeof source.id === 'string') &&
+  typeof source.label === 'string' &&
+  typeof source.text === 'string';
+
+const isValidConceptMap = (map) => isObject(map) &&
+  typeof map.title === 'string' &&
+  Array.isArray(map.nodes) && map.nodes.length > 0 &&
+  map.nodes.every(node => isObject(node) && typeof node.id === 'string' && typeof node.label === 'string') &&
+  Array.isArray(map.edges) &&
+  map.edges.every(edge => isObject(edge) && typeof edge.from === 'string' && typeof edge.to === 'string') &&
+  validateConceptMapResponse(map).length === 0;
+
+const validateMessage = (message) => {
+  if (!isObject(message)) return ["no es un objeto"];
+
+  const errors = [];
+  if (message.role !== 'user' && message.role !== 'model') errors.push(`rol desconocido "${message.role}"`);
+  if (typeof message.text !== 'string') errors.push("sin texto");
+  if (!isOptional(message.sources, sources => Array.isArray(sources) && sources.every(isValidSource))) {
+    errors.push("fuentes inválidas");
+  }
+  if (!isOptional(message.conceptMap, isValidConceptMap)) errors.push("mapa conceptual inválido");
+  return errors;
+};
+
+// Lanza un error con los primeros elementos inválidos de la lista
+const assertValidEntries = (entries, validate, label) => {
+  const invalid = entries
+    .map((entry, index) => ({ number: index + 1, errors: validate(entry) }))
+    .filter(({ errors }) => errors.length > 0);
+  if (invalid.length === 0) return;
+
+  const details = invalid
+    .slice(0, MAX_REPORTED_ERRORS)
+    .map(({ number, errors }) => `${label} ${number}: ${errors.join(', ')}`);
+  const more = invalid.length > MAX_REPORTED_ERRORS ? ` y ${invalid.length - MAX_REPORTED_ERRORS} más` : '';
+  throw new Error(`El archivo de sesión tiene datos inválidos (${details.join('; ')}${more}).`);
+};
+
+// La memoria del chat solo se conserva si encaja con la conversación importada
+const sanitizeMemory = (memory, chatHistory) => (isObject(memory) &&
+  typeof memory.summary === 'string' &&
+  Number.isInteger(memory.summarizedCount) &&
+  memory.summarizedCount >= 0 &&
+  memory.summarizedCount <= chatHistory.length
+  ? { summary: memory.summary, summarizedCount: memory.summarizedCount }
+  : { summary: '', summarizedCount: 0 });
+
+export const serializeSession = (session) => JSON.stringify({
+  format: SESSION_FILE_FORMAT,
+  version: SESSION_FILE_VERSION,
+  exportedAt: Date.now(),
+  session
+}, null, 2);
+
+// Guarda la sesión del archivo como una nueva, sin pisar ninguna existente.
+// Como con los exámenes, un archivo con datos inválidos se rechaza entero:
+// guardarlo dejaría una sesión que no se puede abrir.
+export const importSession = async (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("El archivo no es un JSON válido.");
+  }
+
+  if (data?.format !== SESSION_FILE_FORMAT || !data.session || typeof data.session !== 'object') {
+    throw new Error("El archivo no es una sesión exportada desde el tutor.");
+  }
+  if (data.version > SESSION_FILE_VERSION) {
+    throw new Error("La sesión se exportó con una versión más reciente de la aplicación.");
+  }
+
+  const session = migrateSessionMaterials(data.session);
+  if (!Array.isArray(session.materials) || !Array.isArray(session.chatHistory)) {
+    throw new Error("El archivo de sesión está incompleto.");
+  }
+  assertValidEntries(session.materials, validateMaterial, "material");
+  assertValidEntries(session.chatHistory, validateMessage, "mensaje");
+
+  const materialIds = new Set(session.materials.map(material => material.id));
+  if (materialIds.size !== session.materials.length) {
+    throw new Error("El archivo de sesión tiene materiales con el mismo id.");
+  }
+
+  const imported = {
+    ...createSession(typeof session.name === 'string' ? session.name.trim() : ''),
+    materials: session.materials,
+    selectedMaterialIds: Array.isArray(session.selectedMaterialIds)
+      ? session.selectedMaterialIds.filter(id => materialIds.has(id))
+      : [],
+    chatHistory: session.chatHistory,
+    memory: sanitizeMemory(session.memory, session.chatHistory),
+    examAttempts: Array.isArray(session.examAttempts)
+      ? session.examAttempts.filter(attempt => isObject(attempt) && Array.isArray(attempt.questions))
+      : []
+  };
+  await saveSession(imported);
+  return imported;
+};
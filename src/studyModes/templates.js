@@ -0,0 +1,188 @@
+// =====================================
+// MODOS DE ESTUDIO PERSONALIZADOS
+// =====================================
+// Cada modo es una plantilla de instrucciones con variables {{material}},
+// {{tema}} y {{nivel}}. Se guardan en este navegador (localStorage) en el
+// orden en que aparecen y se comparten como archivos JSON.
+
+const STORAGE_KEY = 'studyTemplates';
+const TEMPLATES_FILE_FORMAT = 'tutor-estudio/modos';
+const TEMPLATES_FILE_VERSION = 1;
+
+export const TEMPLATE_LIMITS = { label: 40, prompt: 4000, count: 30 };
+
+export const TEMPLATE_OUTPUTS = {
+  text: 'Texto',
+  json: 'JSON'
+};
+
+export const STUDY_LEVELS = {
+  primaria: 'Primaria',
+  eso: 'ESO',
+  bachillerato: 'Bachillerato',
+  universidad: 'Universidad'
+};
+
+export const DEFAULT_LEVEL = 'bachillerato';
+
+export const TEMPLATE_VARIABLES = {
+  material: 'Nombre del material seleccionado (el contenido se envía siempre)',
+  tema: 'Tema concreto que eliges al usar el modo (vacío = todo el material)',
+  nivel: 'Nivel educativo que eliges al usar el modo'
+};
+
+// Los modos que traía la aplicación; se pueden editar, reordenar o borrar
+export const DEFAULT_TEMPLATES = [
+  {
+    id: 'summary',
+    label: 'Resumir Material',
+    prompt: "Genera un resumen completo, estructurado y detallado del material proporcionado. Organiza la información en secciones claras con puntos clave.",
+    output: 'text'
+  },
+  {
+    id: 'keypoints',
+    label: 'Puntos Clave',
+    prompt: "Identifica y enumera los 10 puntos más importantes del material. Para cada punto, proporciona una breve explicación.",
+    output: 'text'
+  },
+  {
+    id: 'analogy',
+    label: 'Explicar con Analogía',
+    prompt: "Crea una analogía creativa y memorable para explicar los conceptos principales del material. Usa ejemplos de la vida cotidiana.",
+    output: 'text'
+  }
+];
+
+export const createTemplate = () => ({
+  id: crypto.randomUUID(),
+  label: 'Nuevo modo',
+  prompt: "Explica {{tema}} de {{material}} a un estudiante de nivel {{nivel}}.",
+  output: 'text'
+});
+
+const VARIABLE_PATTERN = /\{\{\s*([\p{L}_]+)\s*\}\}/gu;
+
+// Variables que aparecen en la plantilla, sin repetir
+export const templateVariables = (prompt) => [...new Set([...prompt.matchAll(VARIABLE_PATTERN)].map(([, name]) => name))];
+
+// Las que hay que preguntar al usuario antes de ejecutar el modo
+export const needsRunOptions = (template) => templateVariables(template.prompt).some(name => name === 'tema' || name === 'nivel');
+
+export const validateTemplate = (template) => {
+  const errors = [];
+  const label = typeof template?.label === 'string' ? template.label.trim() : '';
+  const prompt = typeof template?.prompt === 'string' ? template.prompt.trim() : '';
+
+  if (!label) errors.push("falta el nombre");
+  else if (label.length > TEMPLATE_LIMITS.label) errors.push(`el nombre supera ${TEMPLATE_LIMITS.label} caracteres`);
+
+  if (!prompt) errors.push("faltan las instrucciones");
+  else if (prompt.length > TEMPLATE_LIMITS.prompt) errors.push(`las instrucciones superan ${TEMPLATE_LIMITS.prompt} caracteres`);
+
+  const unknown = templateVariables(prompt).filter(name => !TEMPLATE_VARIABLES[name]);
+  if (unknown.length > 0) errors.push(`variable desconocida ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+
+  if (!TEMPLATE_OUTPUTS[template?.output]) errors.push(`salida desconocida "${template?.output}"`);
+  return errors;
+};
+
+// Sustituye las variables. values: { material, tema, nivel } con nivel como
+// clave de STUDY_LEVELS. Con salida JSON se recuerda al modelo el formato.
+export const renderTemplate = (template, { material, tema, nivel }) => {
+  const replacements = {
+    material: `el material «${material}»`,
+    tema: tema?.trim() || 'todo el material',
+    nivel: STUDY_LEVELS[nivel] || STUDY_LEVELS[DEFAULT_LEVEL]
+  };
+  const prompt = template.prompt.replace(VARIABLE_PATTERN, (match, name) => replacements[name] ?? match).trim();
+  return template.output === 'json'
+    ? `${prompt}\n\nResponde únicamente con un objeto JSON válido, sin texto fuera del JSON.`
+    : prompt;
+};
+
+// Texto del mensaje del usuario en el chat: "Línea de tiempo · Revolución francesa"
+export const templateDisplayText = (template, { tema } = {}) =>
+  (tema?.trim() ? `${template.label} · ${tema.trim()}` : template.label);
+
+const cleanTemplate = (template) => ({
+  id: typeof template.id === 'string' && template.id ? template.id : crypto.randomUUID(),
+  label: template.label.trim(),
+  prompt: template.prompt.trim(),
+  output: template.output
+});
+
+// =====================================
+// ALMACENAMIENTO
+// =====================================
+
+// Sin nada guardado (o con datos dañados) se usan los modos predeterminados
+export const loadTemplates = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    if (Array.isArray(stored)) {
+      return stored.filter(template => validateTemplate(template).length === 0).map(cleanTemplate);
+    }
+  } catch {
+    // JSON inválido: se ignora
+  }
+  return DEFAULT_TEMPLATES;
+};
+
+// Devuelve los modos tal como quedan guardados (sin espacios sobrantes)
+export const saveTemplates = (templates) => {
+  const cleaned = templates.map(cleanTemplate);
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(cleaned));
+  return cleaned;
+};
+
+// =====================================
+// EXPORTAR E IMPORTAR
+// =====================================
+
+export const serializeTemplates = (templates) => JSON.stringify({
+  format: TEMPLATES_FILE_FORMAT,
+  version: TEMPLATES_FILE_VERSION,
+  exportedAt: Date.now(),
+  templates: templates.map(({ label, prompt, output }) => ({ label, prompt, output }))
+}, null, 2);
+
+// Devuelve los modos del archivo con ids nuevos, para añadirlos a los actuales.
+// Como con los exámenes, un archivo con algún modo inválido se rechaza entero.
+export const parseTemplatesFile = (json) => {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    throw new Error("El archivo no es un JSON válido.");
+  }
+
+  if (data?.format !== TEMPLATES_FILE_FORMAT || !Array.isArray(data.templates)) {
+    throw new Error("El archivo no contiene modos de estudio exportados desde el tutor.");
+  }
+  if (!Number.isInteger(data.version) || data.version > TEMPLATES_FILE_VERSION) {
+    throw new Error("Los modos se exportaron con una versión más reciente de la aplicación.");
+  }
+  if (data.templates.length === 0) {
+    throw new Error("El archivo no tiene ningún modo de estudio.");
+  }
+
+  const invalid = data.templates
+    .map((template, index) => ({ number: index + 1, errors: validateTemplate(template) }))
+    .filter(({ errors }) => errors.length > 0);
+  if (invalid.length > 0) {
+    const { number, errors } = invalid[0];
+    const more = invalid.length > 1 ? ` y ${invalid.length - 1} más` : '';
+    throw new Error(`El archivo tiene modos inválidos (modo ${number}: ${errors.join(', ')}${more}).`);
+  }
+
+  return data.templates.map(template => cleanTemplate({ ...template, id: undefined }));
+};
+
+// Añade los importados al final sin pasar del máximo
+export const mergeTemplates = (current, imported) => {
+  const room = TEMPLATE_LIMITS.count - current.length;
+  if (room <= 0) {
+    throw new Error(`Ya tienes el máximo de ${TEMPLATE_LIMITS.count} modos de estudio.`);
+  }
+  return { templates: [...current, ...imported.slice(0, room)], skipped: Math.max(0, imported.length - room) };
+};
@@ -4,4 +4,21 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  server: {
+    // El servidor proxy (npm run server) guarda la API key; el cliente nunca la ve
+    proxy: {
+      '/api': `http://localhost:${process.env.PORT || 8787}`,
+    },
+  },
+  build: {
+    rollupOptions: {
+      output: {
+        // El renderizado de markdown, el resaltado de código y las fórmulas van en sus propios archivos
+        manualChunks: {
+          markdown: ['react-markdown', 'remark-gfm', 'rehype-sanitize', 'rehype-highlight'],
+          math: ['remark-math', 'rehype-katex', 'katex', 'katex/contrib/mhchem'],
+        },
+      },
+    },
+  },
 })